@@ -0,0 +1,178 @@
+/**
+ * A2A (Agent-to-Agent) JSON-RPC mapping
+ *
+ * Shapes used by the gateway's `POST /a2a` endpoint: JSON-RPC envelopes and
+ * error codes, reading A2A `Message` parts, building A2A `Task` objects
+ * (status, artifacts, history) from gateway payments and tasks, and building
+ * agent cards whose skills are the listed services.
+ *
+ * An A2A task that has not been paid for yet is reported in the
+ * `input-required` state with `metadata['payment.status'] = 'payment-required'`
+ * and the payment instructions attached as a data part of the status message.
+ * A task whose sends all failed before a payment was opened (e.g. too few
+ * credits) is `input-required` too, with no payment attached.
+ */
+
+export const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  GATEWAY_ERROR: -32000,
+  TASK_NOT_FOUND: -32001,
+  TASK_NOT_CANCELABLE: -32002
+};
+
+// Modes a service accepts when it does not declare its own: A2A data parts
+// (JSON) and text parts, which readMessage folds into the task input
+export const DEFAULT_INPUT_MODES = ['application/json', 'text/plain'];
+export const DEFAULT_OUTPUT_MODES = ['application/json'];
+
+// A2A task states that end a task (input-required ends a turn, not the task)
+export const FINAL_STATES = ['completed', 'failed', 'canceled'];
+
+export function rpcResult(id, result) {
+  return { jsonrpc: '2.0', id, result };
+}
+
+export function rpcError(id, code, message, data) {
+  return { jsonrpc: '2.0', id: id ?? null, error: { code, message, ...(data !== undefined && { data }) } };
+}
+
+/**
+ * Collect the text and structured data of an A2A message.
+ *
+ * @param {{ parts: { type: 'text'|'data'|'file', text?: string, data?: object }[] }} message
+ * @returns {{ text: string, data: object }} text parts joined by newlines,
+ *   data parts merged into one object
+ */
+export function readMessage(message) {
+  const texts = [];
+  const data = {};
+  for (const part of message.parts || []) {
+    if (part.type === 'text' && typeof part.text === 'string') texts.push(part.text);
+    if (part.type === 'data' && part.data && typeof part.data === 'object') Object.assign(data, part.data);
+  }
+  return { text: texts.join('\n'), data };
+}
+
+function outputParts(output) {
+  return typeof output === 'string' ? [{ type: 'text', text: output }] : [{ type: 'data', data: output ?? null }];
+}
+
+// Artifact carrying a task's (final or partial) output
+export function outputArtifact(output, { append = false } = {}) {
+  return { name: 'output', index: 0, parts: outputParts(output), ...(append && { append: true }) };
+}
+
+function agentMessage(text, data) {
+  return { role: 'agent', parts: [{ type: 'text', text }, ...(data ? [{ type: 'data', data }] : [])] };
+}
+
+/**
+ * Build the A2A Task for an A2A task record.
+ *
+ * @param {object} record - `{ id, sessionId, canceled, history, updated }`
+ * @param {{ task?: object, payment?: object, instructions?: object,
+ *           verification?: object, historyLength?: number }} gateway
+ *   the gateway task (public view) and payment behind the record
+ */
+export function toA2ATask(record, { task, payment, instructions, verification, historyLength } = {}) {
+  let state;
+  let message;
+  const metadata = { paymentId: payment?.id ?? null, taskId: task?.id ?? null };
+
+  if (task?.status === 'completed') {
+    state = 'completed';
+  } else if (task?.status === 'failed') {
+    state = 'failed';
+    message = agentMessage(task.error || 'Task failed');
+  } else if (task) {
+    state = 'working';
+  } else if (record.canceled) {
+    state = 'canceled';
+  } else if (payment?.status === 'expired') {
+    state = 'failed';
+    message = agentMessage('Payment expired before it was verified');
+  } else if (!payment) {
+    state = 'input-required';
+    message = agentMessage('No payment has been opened for this task yet; send it again to retry');
+  } else {
+    state = 'input-required';
+    metadata['payment.status'] = 'payment-required';
+    const amount = `${payment.quote.amount} ${payment.token}`;
+    message = agentMessage(
+      verification?.message
+        ? `Payment required: ${amount}. Last check: ${verification.message}`
+        : `Payment required: send ${amount} per the instructions, then send again with metadata.txSignature`,
+      { paymentRequired: { paymentId: payment.id, status: payment.status, expiresAt: payment.expiresAt, instructions } }
+    );
+  }
+
+  let history = record.history || [];
+  if (historyLength !== undefined) history = historyLength > 0 ? history.slice(-historyLength) : [];
+
+  return {
+    id: record.id,
+    sessionId: record.sessionId,
+    status: { state, ...(message && { message }), timestamp: record.updated || record.created },
+    artifacts: task?.status === 'completed' ? [outputArtifact(task.output)] : [],
+    history,
+    metadata
+  };
+}
+
+/**
+ * A2A skill for a listed service. Clients call it through `tasks/send` with
+ * `metadata.serviceId` set to the skill id.
+ *
+ * @param {object} service - service view (with `platformFeeBps`)
+ * @param {{ tags?: string[] }} opts - `tags` are usually the provider's skills
+ */
+export function serviceSkill(service, { tags = [] } = {}) {
+  return {
+    id: service.id,
+    name: service.name,
+    description: service.description || service.name,
+    tags,
+    inputModes: service.inputModes || DEFAULT_INPUT_MODES,
+    outputModes: service.outputModes || DEFAULT_OUTPUT_MODES,
+    pricing: {
+      ...(service.pricing || { model: 'flat' }),
+      priceSOL: service.priceSOL,
+      priceUSDC: service.priceUSDC,
+      ...(service.priceUSD && { priceUSD: service.priceUSD }),
+      platformFeeBps: service.platformFeeBps ?? 0
+    },
+    provider: { agentId: service.agentId, name: service.agentName },
+    ...(service.inputSchema && { inputSchema: service.inputSchema }),
+    ...(service.outputSchema && { outputSchema: service.outputSchema })
+  };
+}
+
+/**
+ * Agent card served at `/.well-known/agent.json` (or per provider).
+ *
+ * @param {{ name: string, description: string, url: string, skills: object[],
+ *           provider?: object, version?: string }} card
+ *   `url` is the A2A JSON-RPC endpoint
+ */
+export function buildAgentCard({ name, description, url, skills, provider, version = '1.0.0' }) {
+  return {
+    name,
+    description,
+    url,
+    ...(provider && { provider }),
+    version,
+    capabilities: {
+      streaming: true,
+      pushNotifications: false,
+      stateTransitionHistory: true
+    },
+    skills,
+    defaultInputModes: DEFAULT_INPUT_MODES,
+    defaultOutputModes: DEFAULT_OUTPUT_MODES,
+    authentication: { schemes: ['bearer'] }
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * API key and wallet ownership helpers
+ *
+ * Keys are random secrets handed to an agent once, at registration or
+ * rotation. The gateway only keeps their SHA-256 hash, so a leaked store
+ * does not leak working credentials.
+ *
+ * Wallet ownership is proven by signing a gateway-issued challenge message
+ * with the wallet's ed25519 keypair (what Solana wallets' signMessage does).
+ */
+
+import { createHash, createPrivateKey, createPublicKey, randomBytes, sign, verify } from 'crypto';
+import { PublicKey } from '@solana/web3.js';
+import bs58 from 'bs58';
+
+export const API_KEY_PREFIX = 'sk_';
+
+export function generateApiKey() {
+  return API_KEY_PREFIX + randomBytes(32).toString('base64url');
+}
+
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+// Extract the token from an `Authorization: Bearer <token>` header
+export function bearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// DER prefixes that wrap raw 32-byte ed25519 keys as SPKI / PKCS#8
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+// The exact text a wallet must sign to answer a challenge
+export function challengeMessage(wallet, nonce, expiresAt) {
+  return `Solana Agent Payment Gateway wallet verification\nWallet: ${wallet}\nNonce: ${nonce}\nExpires: ${expiresAt}`;
+}
+
+/**
+ * Check a base58 ed25519 signature of `message` by `wallet`.
+ *
+ * @param {string} wallet - Base58 Solana address (the ed25519 public key)
+ * @param {string} message - UTF-8 message that was signed
+ * @param {string} signature - Base58-encoded 64-byte signature
+ * @returns {boolean}
+ */
+export function verifyWalletSignature(wallet, message, signature) {
+  try {
+    const raw = new PublicKey(wallet).toBytes();
+    const key = createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, raw]),
+      format: 'der',
+      type: 'spki'
+    });
+    const sig = bs58.decode(signature);
+    return sig.length === 64 && verify(null, Buffer.from(message, 'utf8'), key, sig);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Sign `message` with a Solana keypair, the counterpart of
+ * verifyWalletSignature (used for gateway-issued quotes).
+ *
+ * @param {import('@solana/web3.js').Keypair} keypair
+ * @param {string} message - UTF-8 message
+ * @returns {string} base58-encoded 64-byte signature
+ */
+export function signMessage(keypair, message) {
+  const key = createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(keypair.secretKey.slice(0, 32))]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  return bs58.encode(sign(null, Buffer.from(message, 'utf8'), key));
+}
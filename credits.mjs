@@ -0,0 +1,170 @@
+/**
+ * Prepaid credit ledger
+ *
+ * Agents deposit funds once and then pay for many tasks from their balance,
+ * without an on-chain transaction per call. Balances are kept per agent and
+ * token in base units (lamports, raw token units) so repeated micro-debits
+ * never drift. Every change is also written to the ledger as
+ * `{ agentId, token, amount, balance, type, ref, at }`, where `amount` is
+ * signed and `balance` is the balance afterwards.
+ *
+ * Withdrawals are paid out by the escrow wallet. A withdrawal is debited and
+ * saved as `unconfirmed` before its transfer is sent, and only marked
+ * `completed` once the transfer returns. One left `unconfirmed` (the transfer
+ * reported an error, or the gateway stopped mid-transfer) is settled by the
+ * sweep once the transfer can no longer land: `completed` if its
+ * `withdrawal:<id>` memo is on-chain, otherwise `failed` and credited back.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * @param {{ store: object, decimals: { [token: string]: number } }} opts
+ *   `store` needs the balances and ledger collections; `decimals` maps each
+ *   supported token to its decimals (e.g. { SOL: 9, USDC: 6 })
+ */
+export function createLedger({ store, decimals }) {
+  const { balances, ledger } = store;
+
+  const toUnits = (token, amount) => Math.round(amount * 10 ** decimals[token]);
+  const fromUnits = (token, units) => units / 10 ** decimals[token];
+
+  function unitsOf(agentId) {
+    return balances.get(agentId) || Object.fromEntries(Object.keys(decimals).map(t => [t, 0]));
+  }
+
+  function record(agentId, token, units, { type, ref }) {
+    const held = unitsOf(agentId);
+    held[token] = (held[token] || 0) + units;
+    balances.set(agentId, held);
+
+    const entry = {
+      id: uuidv4(),
+      agentId,
+      token,
+      amount: fromUnits(token, units),
+      balance: fromUnits(token, held[token]),
+      type,
+      ref: ref || null,
+      at: new Date().toISOString()
+    };
+    ledger.set(entry.id, entry);
+    return entry;
+  }
+
+  // Balances in UI units, e.g. { SOL: 0.0042, USDC: 1.5 }
+  function balanceOf(agentId) {
+    const held = unitsOf(agentId);
+    return Object.fromEntries(Object.keys(decimals).map(t => [t, fromUnits(t, held[t] || 0)]));
+  }
+
+  function credit(agentId, token, amount, meta) {
+    return record(agentId, token, toUnits(token, amount), meta);
+  }
+
+  // Returns null, leaving the balance untouched, if it does not cover `amount`
+  function debit(agentId, token, amount, meta) {
+    const units = toUnits(token, amount);
+    if ((unitsOf(agentId)[token] || 0) < units) return null;
+    return record(agentId, token, -units, meta);
+  }
+
+  // Most recent entries first
+  function entriesOf(agentId, limit = 50) {
+    return Array.from(ledger.values())
+      .filter(e => e.agentId === agentId)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  return { balanceOf, credit, debit, entriesOf };
+}
+
+/**
+ * @param {{ store: object, ledger: object, escrow: object,
+ *           decimals: { [token: string]: number }, mints?: { [token: string]: string },
+ *           recheckMs?: number, now?: () => number }} opts
+ *   `store` needs the withdrawals collection; `escrow` is the object returned
+ *   by createEscrow; `recheckMs` is how long after an attempt its transfer is
+ *   looked up on-chain
+ */
+export function createWithdrawals({ store, ledger, escrow, decimals, mints = {}, recheckMs = 2 * 60 * 1000, now = Date.now }) {
+  const { withdrawals } = store;
+  const inFlight = new Set(); // ids of withdrawals whose transfer is being sent
+  let sweeping = false;
+
+  /**
+   * Debit `amount` and send it to `to`.
+   *
+   * @returns {Promise<object|null>} the withdrawal, `completed` or
+   *   `unconfirmed`; null if the balance does not cover `amount`
+   */
+  async function withdraw(agentId, { token, amount, to }) {
+    const id = uuidv4();
+    if (!ledger.debit(agentId, token, amount, { type: 'withdrawal', ref: id })) return null;
+
+    const withdrawal = {
+      id,
+      agentId,
+      token,
+      amount,
+      to,
+      status: 'unconfirmed',
+      txSignature: null,
+      error: null,
+      created: new Date(now()).toISOString()
+    };
+    withdrawal.attemptAt = withdrawal.created;
+    withdrawals.set(id, withdrawal);
+
+    inFlight.add(id);
+    try {
+      withdrawal.txSignature = await escrow.transfer({
+        outputs: [{ to, amount }],
+        token,
+        mint: mints[token] || null,
+        decimals: decimals[token],
+        memo: `withdrawal:${id}`
+      });
+      withdrawal.status = 'completed';
+      withdrawal.completedAt = new Date(now()).toISOString();
+    } catch (err) {
+      withdrawal.error = err.message;
+    } finally {
+      inFlight.delete(id);
+    }
+    withdrawals.set(id, withdrawal);
+    return withdrawal;
+  }
+
+  // Settle unconfirmed withdrawals whose transfer can no longer land
+  async function sweep() {
+    if (sweeping) return;
+    sweeping = true;
+    try {
+      const due = Array.from(withdrawals.values()).filter(w => w.status === 'unconfirmed' && !inFlight.has(w.id) &&
+        now() - Date.parse(w.attemptAt || w.created) >= recheckMs);
+      for (const withdrawal of due) {
+        let landed;
+        try {
+          landed = await escrow.findTransfer(`withdrawal:${withdrawal.id}`);
+        } catch {
+          continue; // RPC trouble: look again on the next sweep
+        }
+        if (landed) {
+          withdrawal.status = 'completed';
+          withdrawal.txSignature = landed;
+        } else {
+          ledger.credit(withdrawal.agentId, withdrawal.token, withdrawal.amount, { type: 'withdrawal_reversal', ref: withdrawal.id });
+          withdrawal.status = 'failed';
+        }
+        withdrawal.completedAt = new Date(now()).toISOString();
+        withdrawals.set(withdrawal.id, withdrawal);
+      }
+    } finally {
+      sweeping = false;
+    }
+  }
+
+  return { withdraw, sweep };
+}
@@ -10,19 +10,61 @@
  * 6. Gateway verifies payment on Solana
  * 7. Task executes after verification
  *
- * Run: node demo.mjs [--live-tx <signature>]
+ * Run: [PROVIDER_ENDPOINT=<url>] node demo.mjs [--live-tx <signature>]
  */
 
+import { createPrivateKey, sign } from 'crypto';
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+
 const BASE = process.env.BASE_URL || 'http://localhost:4100';
 
 async function api(path, opts = {}) {
   const res = await fetch(`${BASE}${path}`, {
-    headers: { 'Content-Type': 'application/json' },
-    ...opts
+    ...opts,
+    headers: { 'Content-Type': 'application/json', ...opts.headers }
   });
   return res.json();
 }
 
+function as(apiKey) {
+  return { Authorization: `Bearer ${apiKey}` };
+}
+
+// Prove wallet ownership: sign the gateway's challenge with the wallet keypair
+async function walletProof(keypair) {
+  const wallet = keypair.publicKey.toBase58();
+  const challenge = await api(`/agents/challenge?wallet=${wallet}`);
+  const key = createPrivateKey({
+    key: Buffer.concat([Buffer.from('302e020100300506032b657004220420', 'hex'), keypair.secretKey.slice(0, 32)]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  const signature = bs58.encode(sign(null, Buffer.from(challenge.message, 'utf8'), key));
+  return { wallet, nonce: challenge.nonce, signature };
+}
+
+// Follow a task's SSE stream until it completes or fails; returns the final task
+async function waitForTask(taskId) {
+  const res = await fetch(`${BASE}/tasks/${taskId}/events`);
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let task = null;
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) >= 0) {
+      const data = buffer.slice(0, end).split('\n').find(line => line.startsWith('data: '));
+      buffer = buffer.slice(end + 2);
+      if (!data) continue;
+      const event = JSON.parse(data.slice(6));
+      if (event.type === 'task.output') console.log('   partial output:', JSON.stringify(event.data.output));
+      if (event.type === 'task.status') task = event.data;
+    }
+  }
+  return task;
+}
+
 function log(step, msg, data) {
   console.log(`\n[${'Step ' + step}] ${msg}`);
   if (data) console.log(JSON.stringify(data, null, 2));
@@ -34,14 +76,20 @@ async function demo() {
   console.log(' Network: devnet | Protocol: A2A + Solana SPL');
   console.log('='.repeat(60));
 
+  // Fresh demo wallets; registration proves ownership by signing a challenge
+  const providerWallet = Keypair.generate();
+  const consumerWallet = Keypair.generate();
+  const payTo = providerWallet.publicKey.toBase58();
+
   // Step 1: Register provider agent
   log(1, 'Registering Screenshot Agent (service provider)...');
   const providerRes = await api('/agents/register', {
     method: 'POST',
     body: JSON.stringify({
       name: 'OpSpawn Screenshot Agent',
-      wallet: 'E4h1FDHx647Ra33WSsvNwUVXDAm99Ne64xWK2FvbWnsP',
-      skills: ['screenshot', 'pdf-generation', 'markdown-to-html']
+      ...(await walletProof(providerWallet)),
+      skills: ['screenshot', 'pdf-generation', 'markdown-to-html'],
+      endpoint: process.env.PROVIDER_ENDPOINT // where paid tasks are forwarded
     })
   });
   log(1, 'Provider registered:', { agentId: providerRes.agentId, name: 'OpSpawn Screenshot Agent' });
@@ -52,7 +100,7 @@ async function demo() {
     method: 'POST',
     body: JSON.stringify({
       name: 'Research Agent',
-      wallet: '11111111111111111111111111111111',
+      ...(await walletProof(consumerWallet)),
       skills: ['research', 'analysis', 'summarization']
     })
   });
@@ -62,8 +110,8 @@ async function demo() {
   log(3, 'Provider creating "Website Screenshot" service (0.001 SOL)...');
   const serviceRes = await api('/services', {
     method: 'POST',
+    headers: as(providerRes.apiKey),
     body: JSON.stringify({
-      agentId: providerRes.agentId,
       name: 'Website Screenshot',
       description: 'Capture a full-page screenshot of any URL. Returns PNG image.',
       priceSOL: 0.001
@@ -72,7 +120,7 @@ async function demo() {
   log(3, 'Service created:', {
     serviceId: serviceRes.serviceId,
     price: '0.001 SOL',
-    payTo: 'E4h1FDHx647Ra33WSsvNwUVXDAm99Ne64xWK2FvbWnsP'
+    payTo
   });
 
   // Step 4: Consumer browses services
@@ -88,9 +136,9 @@ async function demo() {
   log(5, 'Consumer initiating payment for "Website Screenshot"...');
   const paymentRes = await api('/payments/initiate', {
     method: 'POST',
+    headers: as(consumerRes.apiKey),
     body: JSON.stringify({
-      serviceId: serviceRes.serviceId,
-      fromAgentId: consumerRes.agentId
+      serviceId: serviceRes.serviceId
     })
   });
   log(5, 'Payment instructions:', paymentRes.instructions);
@@ -102,6 +150,7 @@ async function demo() {
     log(6, `Verifying live transaction: ${liveTx.slice(0, 20)}...`);
     const verifyRes = await api(`/payments/${paymentRes.paymentId}/verify`, {
       method: 'POST',
+      headers: as(consumerRes.apiKey),
       body: JSON.stringify({ txSignature: liveTx })
     });
     log(6, 'Verification result:', verifyRes);
@@ -110,6 +159,7 @@ async function demo() {
       log(7, 'Executing task with verified payment...');
       const taskRes = await api('/tasks/execute', {
         method: 'POST',
+        headers: as(consumerRes.apiKey),
         body: JSON.stringify({
           paymentId: paymentRes.paymentId,
           input: { url: 'https://opspawn.com', format: 'png', fullPage: true }
@@ -117,14 +167,13 @@ async function demo() {
       });
       log(7, 'Task dispatched:', taskRes);
 
-      // Wait for completion
-      await new Promise(r => setTimeout(r, 2000));
-      const taskStatus = await api(`/tasks/${taskRes.taskId}`);
+      // Stream status changes until the provider finishes
+      const taskStatus = await waitForTask(taskRes.taskId);
       log(8, 'Task result:', taskStatus);
     }
   } else {
     log(6, 'No live transaction provided. In production:');
-    console.log('   1. Consumer sends 0.001 SOL to E4h1FDHx647Ra33WSsvNwUVXDAm99Ne64xWK2FvbWnsP on devnet');
+    console.log(`   1. Consumer sends 0.001 SOL to ${payTo} on devnet`);
     console.log('   2. Consumer calls POST /payments/{id}/verify with { txSignature: "..." }');
     console.log('   3. Gateway verifies on-chain, then consumer calls POST /tasks/execute');
     console.log('\n   To test with a real tx: node demo.mjs --live-tx <solana-tx-signature>');
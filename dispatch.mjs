@@ -0,0 +1,151 @@
+/**
+ * Task dispatch to provider agents
+ *
+ * Forwards a paid task to the provider's registered HTTP endpoint and
+ * interprets the reply:
+ *   2xx with a JSON body  - completed synchronously; `output` (or the whole
+ *                           body) becomes the task output. A body with
+ *                           `status: 'failed'` marks the task failed.
+ *   202 Accepted          - long-running job; the provider reports back
+ *                           later via POST /tasks/:id/result.
+ *   anything else / error - failed, with the reason in `error`.
+ *
+ * Endpoints (and webhook URLs, which go through the same checks) must not
+ * point inside the gateway's network: loopback, private, link-local (the
+ * cloud metadata service at 169.254.169.254) and other reserved addresses
+ * are refused unless allowed by an allow-list (ENDPOINT_ALLOWLIST). The
+ * host is checked when the URL is registered and its resolved addresses
+ * again before each request; redirects are not followed.
+ */
+
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+
+export const DEFAULT_DISPATCH_TIMEOUT_MS = 30000;
+
+const RESERVED = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) RESERVED.addSubnet(network, prefix, 'ipv4');
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) RESERVED.addSubnet(network, prefix, 'ipv6');
+
+const EMPTY = new BlockList();
+
+/**
+ * Parse an allow-list of addresses and subnets, e.g. "127.0.0.1,10.0.0.0/8".
+ *
+ * @returns {BlockList}
+ * @throws on malformed entries
+ */
+export function parseAddressList(spec) {
+  const list = new BlockList();
+  for (const entry of (spec || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const [address, prefix] = entry.split('/');
+    const type = isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    const bits = Number(prefix);
+    if (!isIP(address) || (prefix !== undefined && !(Number.isInteger(bits) && bits >= 0 && bits <= (type === 'ipv6' ? 128 : 32)))) {
+      throw new Error(`ENDPOINT_ALLOWLIST entries must be addresses or subnets, got "${entry}"`);
+    }
+    if (prefix === undefined) list.addAddress(address, type);
+    else list.addSubnet(address, bits, type);
+  }
+  return list;
+}
+
+// Whether `address` is loopback, private or otherwise reserved, and not in `allowed`
+export function isPrivateAddress(address, allowed = EMPTY) {
+  const type = isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  return RESERVED.check(address, type) && !allowed.check(address, type);
+}
+
+function hostOf(url) {
+  return url.hostname.replace(/^\[|\]$/g, '');
+}
+
+// Accept only absolute http(s) URLs whose host is not a private address
+// (or localhost) as provider endpoints.
+export function isValidEndpoint(endpoint, { allowed = EMPTY } = {}) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+  const host = hostOf(url);
+  if (isIP(host)) return !isPrivateAddress(host, allowed);
+  return host !== 'localhost' && !host.endsWith('.localhost');
+}
+
+/**
+ * Resolve an endpoint's host and check every address it resolves to.
+ *
+ * @returns {Promise<string|null>} why the endpoint is refused, or null
+ */
+export async function checkEndpointAddress(endpoint, { allowed = EMPTY } = {}) {
+  const host = hostOf(new URL(endpoint));
+  const addresses = isIP(host) ? [host] : (await lookup(host, { all: true })).map(a => a.address);
+  const blocked = addresses.find(address => isPrivateAddress(address, allowed));
+  return blocked ? `${host} resolves to a private address (${blocked})` : null;
+}
+
+async function readBody(res) {
+  const text = await res.text();
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * POST `payload` to a provider endpoint.
+ *
+ * @param {string} endpoint - Provider URL
+ * @param {object} payload - Task envelope sent as JSON
+ * @param {{ timeoutMs?: number, allowed?: BlockList }} opts - `allowed`:
+ *   private addresses the endpoint may resolve to (see parseAddressList)
+ * @returns {Promise<{ status: 'completed'|'failed'|'processing', output?: any, error?: string }>}
+ */
+export async function dispatchTask(endpoint, payload, { timeoutMs = DEFAULT_DISPATCH_TIMEOUT_MS, allowed } = {}) {
+  let res;
+  try {
+    const refused = await checkEndpointAddress(endpoint, { allowed });
+    if (refused) return { status: 'failed', error: `Provider endpoint refused: ${refused}` };
+
+    res = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      redirect: 'error',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (err) {
+    const reason = err.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : err.message;
+    return { status: 'failed', error: `Provider unreachable: ${reason}` };
+  }
+
+  const body = await readBody(res).catch(() => null);
+
+  if (res.status === 202) {
+    return { status: 'processing' };
+  }
+
+  if (!res.ok) {
+    return {
+      status: 'failed',
+      error: `Provider responded with HTTP ${res.status}`,
+      output: body
+    };
+  }
+
+  if (body && typeof body === 'object' && body.status === 'failed') {
+    return { status: 'failed', error: body.error || 'Provider reported failure', output: body.output ?? null };
+  }
+
+  const output = body && typeof body === 'object' && 'output' in body ? body.output : body;
+  return { status: 'completed', output };
+}
@@ -0,0 +1,101 @@
+/**
+ * Gateway-held escrow
+ *
+ * In escrow mode consumers pay a gateway-owned wallet instead of the
+ * provider. Once the task settles the gateway sends the funds on: to the
+ * provider (and the platform fee to the treasury) when the task completes,
+ * back to the consumer when it fails or times out. Each transfer carries a `release:<paymentId>` or
+ * `refund:<paymentId>` memo for auditing. The memo also identifies a
+ * transfer that reported an error (e.g. a confirmation timeout) but landed
+ * anyway, so it is never sent twice.
+ */
+
+import { readFileSync } from 'fs';
+import {
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  TransactionInstruction,
+  LAMPORTS_PER_SOL,
+  sendAndConfirmTransaction
+} from '@solana/web3.js';
+import {
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction
+} from '@solana/spl-token';
+import { MEMO_PROGRAM_IDS } from './verify.mjs';
+
+// Load a keypair file in the Solana CLI format (JSON array of 64 bytes)
+export function loadKeypair(path) {
+  return Keypair.fromSecretKey(Uint8Array.from(JSON.parse(readFileSync(path, 'utf-8'))));
+}
+
+/**
+ * Build one transaction moving SOL or an SPL token from `from` to each of
+ * `outputs`.
+ *
+ * @param {{ from: PublicKey, outputs: { to: string, amount: number }[], token: 'SOL'|'USDC',
+ *           mint?: string, decimals?: number, memo?: string }} transfer
+ * @returns {Transaction}
+ */
+export function buildTransfer({ from, outputs, token, mint, decimals, memo }) {
+  const tx = new Transaction();
+
+  for (const { to, amount } of outputs) {
+    const recipient = new PublicKey(to);
+    if (token === 'SOL') {
+      tx.add(SystemProgram.transfer({
+        fromPubkey: from,
+        toPubkey: recipient,
+        lamports: Math.round(amount * LAMPORTS_PER_SOL)
+      }));
+    } else {
+      const mintKey = new PublicKey(mint);
+      const source = getAssociatedTokenAddressSync(mintKey, from, true);
+      const destination = getAssociatedTokenAddressSync(mintKey, recipient, true);
+      tx.add(
+        createAssociatedTokenAccountIdempotentInstruction(from, destination, recipient, mintKey),
+        createTransferCheckedInstruction(source, mintKey, destination, from, BigInt(Math.round(amount * 10 ** decimals)), decimals)
+      );
+    }
+  }
+
+  if (memo) {
+    tx.add(new TransactionInstruction({
+      programId: new PublicKey(MEMO_PROGRAM_IDS[0]),
+      keys: [],
+      data: Buffer.from(memo, 'utf8')
+    }));
+  }
+
+  return tx;
+}
+
+/**
+ * @param {{ connection: Connection, keypair: Keypair, send?: Function }} opts
+ *   `send(connection, tx, signers, options)` defaults to sendAndConfirmTransaction
+ */
+export function createEscrow({ connection, keypair, send = sendAndConfirmTransaction }) {
+  return {
+    address: keypair.publicKey.toBase58(),
+
+    // Send funds out of escrow; resolves to the transaction signature
+    async transfer({ outputs, token, mint, decimals, memo }) {
+      const tx = buildTransfer({ from: keypair.publicKey, outputs, token, mint, decimals, memo });
+      return send(connection, tx, [keypair], { commitment: 'confirmed' });
+    },
+
+    /**
+     * Signature of a successful escrow transaction carrying `memo` among
+     * the wallet's recent transactions, or null if there is none.
+     */
+    async findTransfer(memo, { limit = 1000 } = {}) {
+      const recent = await connection.getSignaturesForAddress(keypair.publicKey, { limit }, 'confirmed');
+      // The RPC lists memos as "[<length>] <text>", joined by "; "
+      const hit = recent.find(s => !s.err && s.memo && s.memo.split('; ').some(m => m.replace(/^\[\d+\] /, '') === memo));
+      return hit ? hit.signature : null;
+    }
+  };
+}
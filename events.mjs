@@ -0,0 +1,124 @@
+/**
+ * Live event feed and Server-Sent Events streaming
+ *
+ * Watches the payments and tasks collections and turns every status change
+ * into an event:
+ *
+ *   payment.status - a payment moved to a new status
+ *   task.status    - a task moved to a new status
+ *   task.output    - a provider reported partial output for a running task
+ *
+ * Events are `{ id, type, at, agents, paymentId | taskId, status, data }`,
+ * with `agents` listing the agents involved so feeds can be filtered per
+ * agent. Recent events are kept so reconnecting clients can resume from
+ * `Last-Event-ID`.
+ */
+
+export const HEARTBEAT_MS = 15000;
+
+/**
+ * @param {{ store: object, taskView?: (task) => object, bufferSize?: number }} opts
+ *   `taskView` strips private fields before tasks are published
+ */
+export function createEventFeed({ store, taskView = (task) => task, bufferSize = 1000 }) {
+  const subscribers = new Set();
+  const recent = [];
+  const seen = new Map(); // record id -> { status, chunks }
+  let seq = 0;
+
+  function publish(event) {
+    const full = { id: ++seq, at: new Date().toISOString(), ...event };
+    recent.push(full);
+    if (recent.length > bufferSize) recent.shift();
+    for (const fn of subscribers) fn(full);
+  }
+
+  store.payments.subscribe((id, payment) => {
+    const last = seen.get(id);
+    if (last?.status === payment.status) return;
+    seen.set(id, { status: payment.status });
+    publish({
+      type: 'payment.status',
+      agents: [payment.from, payment.to].filter(Boolean),
+      paymentId: id,
+      status: payment.status,
+      data: JSON.parse(JSON.stringify(payment))
+    });
+  });
+
+  store.tasks.subscribe((id, task) => {
+    const last = seen.get(id) || { status: null, chunks: 0 };
+    const chunks = task.outputChunks || [];
+    const agents = [task.fromAgent, task.toAgent];
+
+    for (const chunk of chunks.slice(last.chunks)) {
+      publish({ type: 'task.output', agents, taskId: id, status: task.status, data: { output: chunk } });
+    }
+    if (last.status !== task.status) {
+      publish({ type: 'task.status', agents, taskId: id, status: task.status, data: JSON.parse(JSON.stringify(taskView(task))) });
+    }
+    seen.set(id, { status: task.status, chunks: chunks.length });
+  });
+
+  // Call `fn(event)` for each new event matching `filter`; returns an unsubscribe function
+  function subscribe(filter, fn) {
+    const listener = (event) => { if (filter(event)) fn(event); };
+    subscribers.add(listener);
+    return () => subscribers.delete(listener);
+  }
+
+  // Buffered events after `lastId` that match `filter`
+  function since(lastId, filter) {
+    return recent.filter(e => e.id > lastId && filter(e));
+  }
+
+  return { subscribe, since };
+}
+
+function writeEvent(res, event) {
+  if (event.id) res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Serve an SSE stream of events matching `filter`.
+ *
+ * @param {object} req - Express request (Last-Event-ID resumes from the buffer)
+ * @param {object} res - Express response
+ * @param {object} feed - from createEventFeed
+ * @param {{ filter?: (event) => boolean, initial?: object[], done?: (event) => boolean }} opts
+ *   `initial` events are sent first (e.g. the current status); the stream
+ *   ends after an event for which `done` returns true
+ */
+export function streamEvents(req, res, feed, { filter = () => true, initial = [], done = () => false }) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const lastId = Number(req.get('Last-Event-ID'));
+  const backlog = lastId ? feed.since(lastId, filter) : initial;
+
+  let unsubscribe = () => {};
+  let heartbeat = null;
+  const close = () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  for (const event of backlog) {
+    writeEvent(res, event);
+    if (done(event)) return close();
+  }
+
+  unsubscribe = feed.subscribe(filter, (event) => {
+    writeEvent(res, event);
+    if (done(event)) close();
+  });
+  heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', close);
+}
@@ -0,0 +1,38 @@
+/**
+ * Platform fees
+ *
+ * The gateway takes a cut of every payment, expressed in basis points
+ * (1 bps = 0.01%). The split is computed in the token's base units so the
+ * provider and treasury shares always add up to exactly the price.
+ */
+
+export const MAX_FEE_BPS = 10000;
+
+export function isValidFeeBps(bps) {
+  return Number.isInteger(bps) && bps >= 0 && bps <= MAX_FEE_BPS;
+}
+
+/**
+ * Split `amount` (UI units) into the provider's share and the platform fee.
+ * The fee is rounded down, so rounding always favours the provider.
+ *
+ * @param {number} amount
+ * @param {number} feeBps
+ * @param {number} decimals - 9 for SOL, the mint's decimals for SPL tokens
+ * @returns {{ providerAmount: number, feeAmount: number }}
+ */
+export function splitAmount(amount, feeBps, decimals) {
+  const scale = 10 ** decimals;
+  const total = BigInt(Math.round(amount * scale));
+  const fee = total * BigInt(feeBps) / BigInt(MAX_FEE_BPS);
+  return {
+    providerAmount: Number(total - fee) / scale,
+    feeAmount: Number(fee) / scale
+  };
+}
+
+// SOL a payment earns its provider after the platform fee (0 for token payments)
+export function providerSOL(payment) {
+  if (!payment.amountSOL) return 0;
+  return payment.providerAmount ?? payment.amountSOL;
+}
@@ -0,0 +1,76 @@
+/**
+ * Payment lifecycle
+ *
+ * Every payment status change goes through `transitionPayment`, which
+ * enforces the allowed transitions below and appends `{ from, to, at, reason }`
+ * to the payment's `history`.
+ *
+ *   pending ──> verified ──> released / refunded   (escrow mode only)
+ *      │  ╲
+ *      │   ──> not_found / failed / underpaid / wrong_recipient / wrong_mint /
+ *      │       memo_mismatch / signature_already_used / error
+ *      │       (retryable: another signature may still verify the payment)
+ *      └──────> expired   (TTL elapsed before verification)
+ */
+
+// Verification outcomes that leave the payment open for another attempt
+export const RETRYABLE_STATES = [
+  'not_found',
+  'failed',
+  'underpaid',
+  'wrong_recipient',
+  'wrong_mint',
+  'memo_mismatch',
+  'signature_already_used',
+  'error'
+];
+
+const OPEN_TARGETS = ['verified', 'expired', ...RETRYABLE_STATES];
+
+export const PAYMENT_TRANSITIONS = {
+  pending: OPEN_TARGETS,
+  ...Object.fromEntries(RETRYABLE_STATES.map(s => [s, OPEN_TARGETS])),
+  verified: ['released', 'refunded'],
+  released: [],
+  refunded: [],
+  expired: []
+};
+
+export function canTransition(from, to) {
+  return (PAYMENT_TRANSITIONS[from] || []).includes(to);
+}
+
+// A payment that can still be verified
+export function isOpen(payment) {
+  return payment.status === 'pending' || RETRYABLE_STATES.includes(payment.status);
+}
+
+// A payment whose status (or `status`, if given) will not change again.
+// `verified` is final unless the funds are held until the task settles
+// (escrow or credits).
+export function isFinal(payment, status = payment.status) {
+  if (status === 'verified') return payment.kind === 'deposit' || (!payment.escrowAddress && payment.kind !== 'credit');
+  return !PAYMENT_TRANSITIONS[status]?.length;
+}
+
+/**
+ * Move a payment to `to`, recording the change in its history.
+ * Re-entering the current state is a no-op.
+ *
+ * @returns {boolean} false if the transition is not allowed
+ */
+export function transitionPayment(payment, to, reason) {
+  if (payment.status === to) return true;
+  if (!canTransition(payment.status, to)) return false;
+
+  payment.history = payment.history || [];
+  payment.history.push({ from: payment.status, to, at: new Date().toISOString(), reason });
+  payment.status = to;
+  return true;
+}
+
+// Expire an open payment whose quote has run out. Returns true if it changed.
+export function expireIfStale(payment, now = Date.now()) {
+  if (!isOpen(payment) || !payment.expiresAt || Date.parse(payment.expiresAt) > now) return false;
+  return transitionPayment(payment, 'expired', 'Payment TTL elapsed before verification');
+}
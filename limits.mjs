@@ -0,0 +1,133 @@
+/**
+ * Rate limits and usage quotas
+ *
+ * Request rates are limited per route, separately for each agent (the owner
+ * of the API key) and each client IP. A rule allows `limit` requests per
+ * fixed window of `windowMs`; a request beyond it is refused until the
+ * window ends. Rules are written `<route>:<agent|ip>=<count>/<seconds>`,
+ * comma-separated, and override the defaults below:
+ *
+ *   RATE_LIMITS="initiate:agent=30/60,verify:ip=100/60,quote:agent=0"
+ *
+ * A count of 0 removes the rule. Counters live in memory only. Routes
+ * sharing a rule (e.g. the public `read` routes) share its counters.
+ *
+ * Deliberately unlimited: GET /health, GET /.well-known/agent.json, the
+ * static /demo pages and the admin-only PUT /services/:id/fee. Event streams
+ * are also capped by the number open per IP (MAX_STREAMS_PER_IP).
+ *
+ * Spend caps are counted per UTC day, so they reset at midnight UTC.
+ */
+
+export const RATE_LIMIT_SCOPES = ['agent', 'ip'];
+
+// route -> { agent, ip } as "<count>/<seconds>" (null: not limited)
+export const DEFAULT_RATE_LIMITS = {
+  challenge: { agent: null, ip: '60/60' },
+  register: { agent: null, ip: '30/60' },
+  quote: { agent: '120/60', ip: '600/60' },
+  initiate: { agent: '60/60', ip: '300/60' },
+  verify: { agent: '30/60', ip: '150/60' },
+  deposit: { agent: '30/60', ip: '150/60' },
+  withdraw: { agent: '10/60', ip: '50/60' },
+  execute: { agent: '60/60', ip: '300/60' },
+  a2a: { agent: '120/60', ip: '600/60' },
+  services: { agent: '30/60', ip: '150/60' },
+  account: { agent: '60/60', ip: '300/60' },
+  webhooks: { agent: '30/60', ip: '150/60' },
+  rating: { agent: '30/60', ip: '150/60' },
+  result: { agent: null, ip: '300/60' },
+  read: { agent: null, ip: '600/60' },
+  events: { agent: '10/60', ip: '60/60' }
+};
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseRule(value, where) {
+  const match = /^(\d+)(?:\/(\d+))?$/.exec(value.trim());
+  if (!match || (match[1] !== '0' && !match[2]) || match[2] === '0') {
+    throw new Error(`${where} must be <count>/<seconds> (or 0 to disable), got "${value}"`);
+  }
+  const limit = Number(match[1]);
+  return limit ? { limit, windowMs: Number(match[2]) * 1000 } : null;
+}
+
+/**
+ * Rate limit rules: the defaults, overridden by `spec`. `spec` "off"
+ * disables rate limiting.
+ *
+ * @param {string} [spec] - e.g. "initiate:agent=30/60,verify:ip=0"
+ * @returns {{ [route: string]: { agent: object|null, ip: object|null } }}
+ *   rules as `{ limit, windowMs }`
+ * @throws on unknown routes or scopes and malformed rules
+ */
+export function parseRateLimits(spec) {
+  const off = spec?.trim() === 'off';
+  const rules = Object.fromEntries(Object.entries(DEFAULT_RATE_LIMITS).map(([route, scopes]) => [
+    route,
+    Object.fromEntries(RATE_LIMIT_SCOPES.map(scope => [scope, off || !scopes[scope] ? null : parseRule(scopes[scope], route)]))
+  ]));
+  if (!spec || off) return rules;
+
+  for (const entry of spec.split(',').map(e => e.trim()).filter(Boolean)) {
+    const [key, value] = entry.split('=');
+    const [route, scope] = (key || '').trim().split(':');
+    if (!rules[route]) {
+      throw new Error(`RATE_LIMITS: unknown route "${route}" (one of ${Object.keys(rules).join(', ')})`);
+    }
+    if (!RATE_LIMIT_SCOPES.includes(scope)) {
+      throw new Error(`RATE_LIMITS: scope of "${key}" must be ${RATE_LIMIT_SCOPES.join(' or ')}`);
+    }
+    if (value === undefined) throw new Error(`RATE_LIMITS: "${entry}" needs a value`);
+    rules[route][scope] = parseRule(value, `RATE_LIMITS ${key.trim()}`);
+  }
+  return rules;
+}
+
+/**
+ * Fixed-window request counters.
+ *
+ * @param {{ now?: () => number }} [opts]
+ * @returns {{ hit: Function, sweep: Function }}
+ */
+export function createRateLimiter({ now = Date.now } = {}) {
+  const windows = new Map(); // key -> { start, windowMs, count }
+
+  return {
+    /**
+     * Count a request under `key` against `rule`.
+     *
+     * @returns {{ allowed: boolean, limit: number, remaining: number, resetMs: number }}
+     *   `resetMs` is the time until the window ends
+     */
+    hit(key, { limit, windowMs }) {
+      const t = now();
+      let window = windows.get(key);
+      if (!window || t - window.start >= window.windowMs) {
+        window = { start: t, windowMs, count: 0 };
+        windows.set(key, window);
+      }
+      const allowed = window.count < limit;
+      if (allowed) window.count++;
+      return { allowed, limit, remaining: limit - window.count, resetMs: window.start + windowMs - t };
+    },
+
+    // Forget windows that have ended
+    sweep() {
+      const t = now();
+      for (const [key, window] of windows) {
+        if (t - window.start >= window.windowMs) windows.delete(key);
+      }
+    }
+  };
+}
+
+// Start of the UTC day containing `at` (ms)
+export function utcDayStart(at) {
+  return Math.floor(at / DAY_MS) * DAY_MS;
+}
+
+// Retry-After value for a wait of `ms`: whole seconds, at least 1
+export function retryAfterSeconds(ms) {
+  return Math.max(1, Math.ceil(ms / 1000));
+}
@@ -0,0 +1,105 @@
+/**
+ * Sorting and cursor pagination for list endpoints
+ *
+ * Every list route answers with the same envelope:
+ *
+ *   { <items>: [...], count, total, nextCursor }
+ *
+ * where `count` is the number of items on this page, `total` the number of
+ * items matching the filters, and `nextCursor` (null on the last page) is
+ * passed back as `?cursor=` to get the next page. Cursors record the sort
+ * value and id of the last item returned, so pages stay consistent while
+ * records are added.
+ */
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+
+function encodeCursor(sort, value, id) {
+  return Buffer.from(JSON.stringify({ s: sort, v: value, id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return typeof decoded.id === 'string' ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read `sort`, `limit` and `cursor` from a query string.
+ *
+ * `sort` is a field name, optionally prefixed with `-` for descending order.
+ *
+ * @param {object} query - req.query
+ * @param {{ sorts: string[], defaultSort: string }} opts - sortable fields
+ * @returns {{ sort: string, field: string, desc: boolean, limit: number, cursor: object|null }
+ *   | { error: string }} `sort` is the raw value (e.g. `-price`), `field` without the prefix
+ */
+export function parseListQuery(query, { sorts, defaultSort }) {
+  const raw = query.sort ? String(query.sort) : defaultSort;
+  const desc = raw.startsWith('-');
+  const sort = desc ? raw.slice(1) : raw;
+  if (!sorts.includes(sort)) {
+    return { error: `sort must be one of ${sorts.join(', ')} (prefix with - for descending)` };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(String(query.cursor));
+    if (!cursor || cursor.s !== raw) return { error: 'cursor is invalid or belongs to a different sort' };
+  }
+
+  return { sort: raw, field: sort, desc, limit, cursor };
+}
+
+/**
+ * Sort `items` and cut the page after `cursor`.
+ *
+ * Items without a sort value (e.g. no SOL price) come last in either
+ * direction; ties are broken by id.
+ *
+ * @param {object[]} items - filtered items, each with an `id`
+ * @param {object} list - from parseListQuery
+ * @param {(item) => number|string|null} sortValue - value of the sort field
+ * @returns {{ items: object[], count: number, total: number, nextCursor: string|null }}
+ */
+export function paginate(items, { sort, desc, limit, cursor }, sortValue) {
+  const dir = desc ? -1 : 1;
+  const compare = (a, b) => {
+    if (a.v !== b.v) {
+      if (a.v === null || a.v === undefined) return 1;
+      if (b.v === null || b.v === undefined) return -1;
+      return (a.v < b.v ? -1 : 1) * dir;
+    }
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  };
+
+  const keyed = items
+    .map(item => ({ item, id: item.id, v: sortValue(item) ?? null }))
+    .sort(compare);
+  const start = cursor ? keyed.filter(k => compare(k, { v: cursor.v, id: cursor.id }) > 0) : keyed;
+  const page = start.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    items: page.map(k => k.item),
+    count: page.length,
+    total: items.length,
+    nextCursor: start.length > limit ? encodeCursor(sort, last.v, last.id) : null
+  };
+}
+
+// Case-insensitive substring match of `q` against any of `fields`
+export function matchesText(q, ...fields) {
+  if (!q) return true;
+  const needle = String(q).toLowerCase();
+  return fields.flat().some(f => typeof f === 'string' && f.toLowerCase().includes(needle));
+}
@@ -0,0 +1,75 @@
+/**
+ * Price oracles for USD-denominated services
+ *
+ * An oracle answers `getRate(symbol)` with the USD price of one unit of a
+ * token:
+ *
+ *   { symbol, rate, source, asOf }   e.g. { symbol: 'SOL', rate: 151.2, ... }
+ *
+ * and throws when it has no usable rate. Two offline implementations are
+ * provided; a Pyth or HTTP feed only needs the same `{ name, getRate }`
+ * shape:
+ *
+ *   createStaticOracle({ rates: { SOL: 150 } })
+ *   createFileOracle({ path: './data/prices.json', maxAgeMs: 300000 })
+ *
+ * The file holds `{ "SOL": 151.2, "updatedAt": "<ISO time>" }` and is re-read
+ * whenever it changes, so any process can keep it fresh.
+ */
+
+import { readFileSync, statSync } from 'fs';
+
+function checkRate(symbol, rate) {
+  if (!(typeof rate === 'number' && rate > 0 && Number.isFinite(rate))) {
+    throw new Error(`No USD rate for ${symbol}`);
+  }
+  return rate;
+}
+
+// Fixed rates, e.g. from configuration
+export function createStaticOracle({ rates }) {
+  const asOf = new Date().toISOString();
+  return {
+    name: 'static',
+    async getRate(symbol) {
+      return { symbol, rate: checkRate(symbol, rates[symbol]), source: 'static', asOf };
+    }
+  };
+}
+
+/**
+ * Rates from a JSON file. Rates older than `maxAgeMs` (by the file's
+ * `updatedAt`, or its modification time) are refused as stale.
+ */
+export function createFileOracle({ path, maxAgeMs = 5 * 60 * 1000, now = Date.now }) {
+  let cached = null; // { mtimeMs, size, prices }
+
+  function load() {
+    const { mtimeMs, size } = statSync(path);
+    if (!cached || cached.mtimeMs !== mtimeMs || cached.size !== size) {
+      cached = { mtimeMs, size, prices: JSON.parse(readFileSync(path, 'utf-8')) };
+    }
+    return cached;
+  }
+
+  return {
+    name: 'file',
+    async getRate(symbol) {
+      const { mtimeMs, prices } = load();
+      const asOf = prices.updatedAt ? Date.parse(prices.updatedAt) : mtimeMs;
+      if (!Number.isFinite(asOf) || now() - asOf > maxAgeMs) {
+        throw new Error(`Price file ${path} is stale (updated ${new Date(asOf).toISOString()})`);
+      }
+      return { symbol, rate: checkRate(symbol, prices[symbol]), source: `file:${path}`, asOf: new Date(asOf).toISOString() };
+    }
+  };
+}
+
+/**
+ * Convert a USD price to a token amount at `rate` (USD per token), rounded
+ * up to the token's smallest unit so the provider never receives less.
+ */
+export function usdToToken(usd, rate, decimals) {
+  const scale = 10 ** decimals;
+  return Math.ceil(Number((usd / rate * scale).toFixed(3))) / scale;
+}
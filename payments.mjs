@@ -0,0 +1,208 @@
+/**
+ * Payment checking
+ *
+ * Verifies open payments on-chain (by submitted signature or by Solana Pay
+ * reference key), maintains the signature replay index, and applies the
+ * resulting lifecycle transitions. Shared by the verify route and the
+ * background payment watcher.
+ *
+ * Payments are not expired on read: a client may have paid inside the TTL
+ * and only ask for verification afterwards. A payment past its TTL is
+ * expired by its next check, once that finds no transaction that landed
+ * (by `blockTime`) at or before `expiresAt`.
+ */
+
+import { verifyTransfer } from './verify.mjs';
+import { providerSOL } from './fees.mjs';
+import { findReferenceSignatures } from './solanapay.mjs';
+import { transitionPayment, expireIfStale, isOpen } from './lifecycle.mjs';
+
+/**
+ * @param {{ connection: Connection, store: object, ledger?: object, onStatus?: Function }} deps - RPC
+ *   connection (or a mock), the gateway store (payments, signatures and agents
+ *   collections), the credit ledger that verified deposits are paid into, and
+ *   `onStatus(payment, from)`, called after a check moves a payment to a new status
+ */
+export function createPaymentChecker({ connection, store, ledger, onStatus = () => {} }) {
+  const { payments, signatures, agents } = store;
+  const inFlight = new Set(); // ids of payments being checked, by any caller
+
+  // Move a payment to a new status and persist it; false if not allowed
+  function recordStatus(payment, to, reason) {
+    if (!transitionPayment(payment, to, reason)) return false;
+    payments.set(payment.id, payment);
+    return true;
+  }
+
+  // A transaction counts if its block time is at or before the payment's expiry
+  function landedLate(payment, result) {
+    return Boolean(payment.expiresAt && result.blockTime && result.blockTime * 1000 > Date.parse(payment.expiresAt));
+  }
+
+  // Claim a signature for a payment and verify it on-chain against the
+  // payment's locked quote. A signature can only ever settle one payment.
+  async function verifySignatureFor(payment, txSignature) {
+    const claimedBy = signatures.get(txSignature);
+    if (claimedBy && claimedBy !== payment.id) {
+      return {
+        status: 'signature_already_used',
+        txSignature,
+        message: 'Transaction signature has already been submitted for another payment'
+      };
+    }
+
+    // Claim before going to the network so concurrent verifications of
+    // other payments cannot reuse it
+    signatures.set(txSignature, payment.id);
+
+    const result = await verifyTransfer(connection, txSignature, {
+      token: payment.quote.token,
+      amount: payment.quote.amount,
+      recipient: payment.quote.payTo,
+      recipients: payment.quote.recipients,
+      mint: payment.quote.mint,
+      memo: `payment:${payment.id}`
+    });
+
+    if (result.status === 'verified' && landedLate(payment, result)) {
+      signatures.delete(txSignature);
+      return {
+        status: 'landed_late',
+        txSignature,
+        blockTime: result.blockTime,
+        message: `Transaction landed after the payment expired at ${payment.expiresAt}`
+      };
+    }
+
+    // Definitive rejections free the signature; not_found keeps the claim
+    // since the transaction may still land for this payment
+    if (result.status !== 'verified' && result.status !== 'not_found') signatures.delete(txSignature);
+    return { ...result, txSignature };
+  }
+
+  // Try every successful transaction carrying the payment's reference key,
+  // oldest first, until one verifies
+  async function verifyByReference(payment) {
+    const candidates = await findReferenceSignatures(connection, payment.reference);
+    if (!candidates.length) {
+      return {
+        status: 'not_found',
+        message: 'No transaction referencing this payment found yet. It may still be processing.'
+      };
+    }
+
+    let result;
+    for (const sig of candidates) {
+      result = await verifySignatureFor(payment, sig);
+      if (result.status === 'verified') break;
+    }
+    return result;
+  }
+
+  /**
+   * Check an open payment on-chain and apply the resulting state transition.
+   * Without `txSignature` the payment is located by its reference key. A
+   * payment past its TTL is verified by a transaction that landed in time,
+   * and expired if the check finds none.
+   * With `recordErrors: false`, RPC failures leave the status untouched
+   * (used by the watcher, which simply retries later).
+   *
+   * Only one check of a payment runs at a time, so a payment is settled
+   * (and any credits added) exactly once.
+   *
+   * @returns {Promise<object>} the verification result; `conflict: true` if the
+   *   payment is already being checked or changed state concurrently and the
+   *   result could not be applied
+   */
+  async function checkPayment(payment, txSignature, options) {
+    if (inFlight.has(payment.id)) {
+      return { status: payment.status, message: 'A check of this payment is already in progress', conflict: true };
+    }
+    inFlight.add(payment.id);
+    try {
+      return await runCheck(payment, txSignature, options);
+    } finally {
+      inFlight.delete(payment.id);
+    }
+  }
+
+  async function runCheck(payment, txSignature, { recordErrors = true } = {}) {
+    const before = payment.status;
+    let result;
+    try {
+      if (txSignature) {
+        // Switching to a new signature releases the one submitted before
+        if (payment.txSignature && payment.txSignature !== txSignature &&
+            signatures.get(payment.txSignature) === payment.id) {
+          signatures.delete(payment.txSignature);
+        }
+        payment.txSignature = txSignature;
+        result = await verifySignatureFor(payment, txSignature);
+      } else {
+        result = await verifyByReference(payment);
+        if (result.txSignature) payment.txSignature = result.txSignature;
+      }
+    } catch (err) {
+      if (recordErrors) recordStatus(payment, 'error', err.message);
+      return { status: 'error', message: 'Error verifying transaction', error: err.message };
+    }
+
+    if (result.status !== 'verified') {
+      // Past its TTL with nothing valid on-chain: this was the last check
+      if (expireIfStale(payment)) {
+        payments.set(payment.id, payment);
+        onStatus(payment, before);
+        return { ...result, status: 'expired', lastCheck: result.status, message: `Payment expired. ${result.message}` };
+      }
+      if (!recordStatus(payment, result.status, result.message)) return { ...result, conflict: true };
+      if (payment.status !== before) onStatus(payment, before);
+      return result;
+    }
+
+    // Settled while the transaction was being fetched (verified → verified
+    // would otherwise pass as a no-op and pay out twice)
+    if (!isOpen(payment)) return { status: payment.status, conflict: true };
+
+    // Fill in the settlement details before persisting, so the stored
+    // record is complete as soon as it reads verified
+    if (!transitionPayment(payment, 'verified', `Transaction ${result.txSignature} confirmed in slot ${result.slot}`)) {
+      signatures.delete(result.txSignature);
+      return { status: 'verified', conflict: true };
+    }
+    payment.verified = true;
+    payment.verifiedAt = new Date().toISOString();
+    payment.slot = result.slot;
+    payment.blockTime = result.blockTime;
+    payments.set(payment.id, payment);
+    onStatus(payment, before);
+
+    if (payment.kind === 'deposit') {
+      ledger.credit(payment.from, payment.token, payment.quote.amount, { type: 'deposit', ref: payment.id });
+      return {
+        status: 'verified',
+        message: 'Deposit verified on-chain. Credits added to your balance.',
+        txSignature: result.txSignature,
+        slot: result.slot,
+        blockTime: result.blockTime
+      };
+    }
+
+    // Update earning stats, net of the platform fee (escrowed funds count
+    // once released)
+    const toAgent = !payment.escrowAddress && agents.get(payment.to);
+    if (toAgent) {
+      toAgent.totalEarned += providerSOL(payment);
+      agents.set(toAgent.id, toAgent);
+    }
+
+    return {
+      status: 'verified',
+      message: 'Payment verified on-chain. You can now execute the service.',
+      txSignature: result.txSignature,
+      slot: result.slot,
+      blockTime: result.blockTime
+    };
+  }
+
+  return { recordStatus, checkPayment };
+}
@@ -0,0 +1,207 @@
+/**
+ * x402-style paywall middleware
+ *
+ * Lets provider agents gate their own Express routes the way the gateway
+ * gates task execution:
+ *
+ *   import { requirePayment } from './paywall.mjs';
+ *   app.post('/summarize', requirePayment({ priceSOL: 0.001, payTo: MY_WALLET }), handler);
+ *
+ * A request without payment gets HTTP 402 and a machine-readable list of
+ * accepted payments. The client pays on-chain and retries with an
+ * `X-PAYMENT` header carrying either the transaction signature, or a
+ * base64 JSON payload `{ x402Version, scheme, network, payload }` whose
+ * payload holds the `signature` or a signed, serialized `transaction` for
+ * the middleware to submit. The payment is checked with the gateway's own
+ * verifyTransfer and attached to `req.payment`.
+ *
+ * Like the gateway's `payment:<id>` memo, a memo ties the transfer to the
+ * client that paid: each 402 carries a secret `nonce` and the memo
+ * `x402:<sha256(nonce)>` to put in the transaction. The retry must send the
+ * nonce back (`payload.nonce`, or an `X-PAYMENT-NONCE` header next to a bare
+ * signature). Someone who only saw the transaction on-chain cannot, so they
+ * cannot spend another client's payment.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { Connection } from '@solana/web3.js';
+import { verifyTransfer } from './verify.mjs';
+
+export const X402_VERSION = 1;
+
+const USDC_MINTS = {
+  'mainnet-beta': 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  devnet: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU'
+};
+const USDC_DECIMALS = 6;
+
+// Base58 transaction signatures are 64 bytes, 87-88 characters
+const SIGNATURE_RE = /^[1-9A-HJ-NP-Za-km-z]{64,90}$/;
+const NONCE_RE = /^[0-9a-f]{32}$/;
+
+// Memo a payment made for `nonce` must carry
+export function paywallMemo(nonce) {
+  return `x402:${createHash('sha256').update(nonce).digest('hex').slice(0, 32)}`;
+}
+
+/**
+ * Decode an X-PAYMENT header into `{ signature }` or `{ transaction }`
+ * (a base64 serialized signed transaction), with the payload's `nonce` and
+ * `asset` if present. Returns null if malformed.
+ */
+export function parsePaymentHeader(header) {
+  if (!header) return null;
+  const value = header.trim();
+  if (SIGNATURE_RE.test(value)) return { signature: value };
+
+  try {
+    const decoded = JSON.parse(Buffer.from(value, 'base64').toString('utf8'));
+    const payload = decoded.payload || {};
+    if (typeof payload.signature === 'string' && SIGNATURE_RE.test(payload.signature)) {
+      return { signature: payload.signature, asset: payload.asset, nonce: payload.nonce };
+    }
+    if (typeof payload.transaction === 'string') {
+      return { transaction: payload.transaction, asset: payload.asset, nonce: payload.nonce };
+    }
+  } catch {
+    // fall through
+  }
+  return null;
+}
+
+/**
+ * @param {{ priceSOL?: number, priceUSDC?: number, payTo: string,
+ *           connection?: Connection, rpcUrl?: string, network?: string,
+ *           usdcMint?: string, description?: string, maxAgeSeconds?: number,
+ *           signatures?: { has: Function, set: Function, delete: Function } }} opts
+ *   `signatures` records spent signatures (defaults to an in-memory Map);
+ *   pass a persistent collection to keep replay protection across restarts.
+ *   Transactions older than `maxAgeSeconds` are refused as stale.
+ * @returns {Function} Express middleware
+ */
+export function requirePayment({
+  priceSOL,
+  priceUSDC,
+  payTo,
+  connection,
+  rpcUrl = 'https://api.devnet.solana.com',
+  network = 'devnet',
+  usdcMint = USDC_MINTS[network],
+  description = '',
+  maxAgeSeconds = 600,
+  signatures = new Map()
+}) {
+  if (!payTo) throw new Error('requirePayment: payTo is required');
+  if (!priceSOL && !priceUSDC) throw new Error('requirePayment: priceSOL or priceUSDC is required');
+  if (priceUSDC && !usdcMint) throw new Error(`requirePayment: usdcMint is required on ${network}`);
+
+  const rpc = connection || new Connection(rpcUrl, 'confirmed');
+  const x402Network = network === 'mainnet-beta' ? 'solana' : `solana-${network}`;
+
+  // What the route accepts, SOL first
+  const options = [];
+  if (priceSOL) options.push({ token: 'SOL', amount: priceSOL, decimals: 9, mint: null });
+  if (priceUSDC) options.push({ token: 'USDC', amount: priceUSDC, decimals: USDC_DECIMALS, mint: usdcMint });
+
+  // A fresh nonce per 402, shared by the accepted options
+  function requirements(req) {
+    const nonce = randomBytes(16).toString('hex');
+    return options.map(o => ({
+      scheme: 'exact',
+      network: x402Network,
+      maxAmountRequired: String(Math.round(o.amount * 10 ** o.decimals)),
+      asset: o.mint || 'SOL',
+      payTo,
+      resource: req.originalUrl,
+      description,
+      mimeType: 'application/json',
+      maxTimeoutSeconds: maxAgeSeconds,
+      extra: { token: o.token, amount: o.amount, decimals: o.decimals, nonce, memo: paywallMemo(nonce) }
+    }));
+  }
+
+  function paymentRequired(req, res, error, details = {}) {
+    return res.status(402).json({ x402Version: X402_VERSION, error, ...details, accepts: requirements(req) });
+  }
+
+  // Submit a client-signed transaction and wait for confirmation
+  async function submit(transaction) {
+    const signature = await rpc.sendRawTransaction(Buffer.from(transaction, 'base64'));
+    await rpc.confirmTransaction(signature, 'confirmed');
+    return signature;
+  }
+
+  // Check the signature against each accepted option until one verifies
+  async function verify(signature, asset, memo) {
+    const candidates = asset ? options.filter(o => o.token === asset || o.mint === asset) : options;
+    let result = { status: 'wrong_mint', message: `Asset ${asset} is not accepted` };
+    for (const o of candidates) {
+      result = await verifyTransfer(rpc, signature, { token: o.token, amount: o.amount, recipient: payTo, mint: o.mint, memo });
+      if (result.status === 'verified') return { ...result, option: o };
+      if (['not_found', 'failed', 'memo_mismatch'].includes(result.status)) break;
+    }
+    return result;
+  }
+
+  return async function paywall(req, res, next) {
+    const header = req.get('X-PAYMENT');
+    if (!header) return paymentRequired(req, res, 'X-PAYMENT header is required');
+
+    const parsed = parsePaymentHeader(header);
+    if (!parsed) return paymentRequired(req, res, 'X-PAYMENT must be a transaction signature or a base64 x402 payload');
+
+    const nonce = parsed.nonce || req.get('X-PAYMENT-NONCE');
+    if (typeof nonce !== 'string' || !NONCE_RE.test(nonce)) {
+      return paymentRequired(req, res, 'The nonce from the 402 response is required (payload.nonce or X-PAYMENT-NONCE)');
+    }
+
+    let signature = parsed.signature;
+    try {
+      if (!signature) signature = await submit(parsed.transaction);
+    } catch (err) {
+      return paymentRequired(req, res, 'Payment transaction could not be submitted', { reason: err.message });
+    }
+
+    // Claim before going to the network so concurrent requests cannot reuse it
+    if (signatures.has(signature)) {
+      return paymentRequired(req, res, 'Payment signature has already been used', { txSignature: signature });
+    }
+    signatures.set(signature, req.originalUrl);
+
+    let result;
+    try {
+      result = await verify(signature, parsed.asset, paywallMemo(nonce));
+    } catch (err) {
+      signatures.delete(signature);
+      return res.status(502).json({ error: 'Error verifying payment', reason: err.message });
+    }
+
+    if (result.status === 'verified' && result.blockTime &&
+        Date.now() / 1000 - result.blockTime > maxAgeSeconds) {
+      result = { status: 'stale', message: `Transaction is older than ${maxAgeSeconds}s` };
+    }
+
+    if (result.status !== 'verified') {
+      signatures.delete(signature);
+      const { status, message, ...details } = result;
+      return paymentRequired(req, res, message, { status, txSignature: signature, ...details });
+    }
+
+    const { option } = result;
+    req.payment = {
+      txSignature: signature,
+      token: option.token,
+      amount: option.amount,
+      mint: option.mint,
+      payTo,
+      slot: result.slot,
+      blockTime: result.blockTime
+    };
+    res.set('X-PAYMENT-RESPONSE', Buffer.from(JSON.stringify({
+      success: true,
+      transaction: signature,
+      network: x402Network
+    })).toString('base64'));
+    next();
+  };
+}
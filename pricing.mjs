@@ -0,0 +1,152 @@
+/**
+ * Pricing models and signed quotes
+ *
+ * A service's `pricing` decides what one call costs:
+ *
+ *   { model: 'flat' }
+ *       the service's priceSOL / priceUSDC (the default)
+ *   { model: 'per-unit', field, unitPriceSOL?, unitPriceUSDC?, minUnits?, maxUnits? }
+ *       units x unit price, where units are read from `input[field]`
+ *   { model: 'tiered', field, tiers: [{ upTo, priceSOL?, priceUSDC? }, ...] }
+ *       the price of the first tier whose `upTo` covers the units
+ *       (`upTo: null` on the last tier leaves it unbounded)
+ *
+ * Units are the value of `field` (a dotted path into the input) when it is a
+ * non-negative integer, or its length when it is a string or an array.
+ *
+ * Quotes fix the price for one input: the gateway signs the quote fields
+ * (including a hash of the input) with an ed25519 keypair, so the quote can
+ * be checked against the `signer` address it names.
+ */
+
+import { createHash } from 'crypto';
+
+export const PRICING_MODELS = ['flat', 'per-unit', 'tiered'];
+export const TOKEN_DECIMALS = { SOL: 9, USDC: 6 };
+
+const isPrice = (p) => typeof p === 'number' && p > 0 && Number.isFinite(p);
+const isUnits = (n) => Number.isInteger(n) && n >= 0;
+
+// JSON with object keys sorted, so equal values always serialize the same
+export function canonicalJSON(value) {
+  const sorted = (v) => {
+    if (Array.isArray(v)) return v.map(sorted);
+    if (v && typeof v === 'object') return Object.fromEntries(Object.keys(v).sort().map(k => [k, sorted(v[k])]));
+    return v;
+  };
+  return JSON.stringify(sorted(value ?? null));
+}
+
+// SHA-256 of the canonical input, binding a quote to the task it prices
+export function hashInput(input) {
+  return createHash('sha256').update(canonicalJSON(input ?? {})).digest('hex');
+}
+
+const modelOf = (pricing) => pricing?.model || 'flat';
+
+/**
+ * Problem with a `pricing` definition, or null if it is usable.
+ */
+export function pricingError(pricing) {
+  if (pricing === undefined || pricing === null) return null;
+  if (typeof pricing !== 'object' || Array.isArray(pricing)) return 'pricing must be an object';
+  if (!PRICING_MODELS.includes(pricing.model)) return `pricing.model must be one of ${PRICING_MODELS.join(', ')}`;
+  if (pricing.model === 'flat') return null;
+
+  if (typeof pricing.field !== 'string' || !pricing.field) return 'pricing.field must name the input field that counts units';
+
+  if (pricing.model === 'per-unit') {
+    const { unitPriceSOL, unitPriceUSDC, minUnits, maxUnits } = pricing;
+    if (!isPrice(unitPriceSOL) && !isPrice(unitPriceUSDC)) return 'pricing needs unitPriceSOL or unitPriceUSDC';
+    for (const [key, price] of Object.entries({ unitPriceSOL, unitPriceUSDC })) {
+      if (price !== undefined && price !== null && !isPrice(price)) return `pricing.${key} must be a positive number`;
+    }
+    if (minUnits !== undefined && !isUnits(minUnits)) return 'pricing.minUnits must be a non-negative integer';
+    if (maxUnits !== undefined && !(isUnits(maxUnits) && maxUnits >= (minUnits ?? 0))) {
+      return 'pricing.maxUnits must be an integer no smaller than minUnits';
+    }
+    return null;
+  }
+
+  const { tiers } = pricing;
+  if (!Array.isArray(tiers) || !tiers.length) return 'pricing.tiers must be a non-empty array';
+  let last = -1;
+  for (const [i, tier] of tiers.entries()) {
+    const unbounded = tier.upTo === null || tier.upTo === undefined;
+    if (unbounded && i !== tiers.length - 1) return 'only the last tier may have no upTo';
+    if (!unbounded && !(isUnits(tier.upTo) && tier.upTo > last)) return 'tier upTo values must be increasing integers';
+    if (!isPrice(tier.priceSOL) && !isPrice(tier.priceUSDC)) return `pricing.tiers[${i}] needs priceSOL or priceUSDC`;
+    last = tier.upTo;
+  }
+  for (const token of ['SOL', 'USDC']) {
+    const priced = tiers.filter(t => isPrice(t[`price${token}`])).length;
+    if (priced && priced !== tiers.length) return `every tier must have a price${token} if any does`;
+  }
+  return null;
+}
+
+// Lowest price a call can cost in `token` (listed as the service's "from" price)
+export function startingPrice(pricing, token) {
+  if (pricing.model === 'per-unit') {
+    const unit = pricing[`unitPrice${token}`];
+    return isPrice(unit) ? roundTo(token, unit * Math.max(pricing.minUnits ?? 1, 1)) : null;
+  }
+  return pricing.tiers[0][`price${token}`] ?? null;
+}
+
+function roundTo(token, amount) {
+  const scale = 10 ** TOKEN_DECIMALS[token];
+  return Math.round(amount * scale) / scale;
+}
+
+function unitsIn(field, input) {
+  const value = field.split('.').reduce((v, key) => (v && typeof v === 'object' ? v[key] : undefined), input);
+  if (typeof value === 'string' || Array.isArray(value)) return { units: value.length };
+  if (isUnits(value)) return { units: value };
+  return { error: `input.${field} must be a non-negative integer, a string or an array` };
+}
+
+/**
+ * Price of one call of `service` in `token` for `input`.
+ *
+ * @param {object} service - with priceSOL / priceUSDC and optional `pricing`
+ * @param {'SOL'|'USDC'} token
+ * @param {object} [input] - required unless the model is flat
+ * @returns {{ amount: number, units: number|null } | { error: string }}
+ */
+export function priceFor(service, token, input) {
+  const pricing = service.pricing;
+  if (modelOf(pricing) === 'flat') {
+    const amount = token === 'SOL' ? service.priceSOL : service.priceUSDC;
+    return amount ? { amount, units: null } : { error: `Service is not priced in ${token}` };
+  }
+
+  if (input === undefined) {
+    return { error: `Service is priced per ${pricing.field}; request a quote for your input with POST /services/${service.id}/quote` };
+  }
+  const counted = unitsIn(pricing.field, input);
+  if (counted.error) return counted;
+  const { units } = counted;
+
+  if (pricing.model === 'per-unit') {
+    const unit = pricing[`unitPrice${token}`];
+    if (!isPrice(unit)) return { error: `Service is not priced in ${token}` };
+    if (units < (pricing.minUnits ?? 0)) return { error: `At least ${pricing.minUnits} ${pricing.field} required` };
+    if (pricing.maxUnits !== undefined && units > pricing.maxUnits) {
+      return { error: `At most ${pricing.maxUnits} ${pricing.field} per call` };
+    }
+    if (!units) return { error: `input.${pricing.field} must count at least one unit` };
+    return { amount: roundTo(token, units * unit), units };
+  }
+
+  const tier = pricing.tiers.find(t => t.upTo === null || t.upTo === undefined || units <= t.upTo);
+  if (!tier) return { error: `At most ${pricing.tiers[pricing.tiers.length - 1].upTo} ${pricing.field} per call` };
+  const amount = tier[`price${token}`];
+  return amount ? { amount, units } : { error: `Service is not priced in ${token}` };
+}
+
+// The exact text the gateway signs for a quote
+export function quoteMessage(quote) {
+  const { id, serviceId, serviceVersion, agentId, token, amount, units, inputHash, expiresAt } = quote;
+  return canonicalJSON({ id, serviceId, serviceVersion, agentId, token, amount, units, inputHash, expiresAt });
+}
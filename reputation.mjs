@@ -0,0 +1,116 @@
+/**
+ * Provider reputation
+ *
+ * Aggregates finished tasks and consumer ratings into per-service and
+ * per-agent (provider) stats:
+ *
+ *   ratingAverage    mean of 1-5 ratings (null without ratings)
+ *   ratingCount      number of ratings
+ *   tasksFinished    completed + failed tasks
+ *   completionRate   completed / finished (null before the first finish)
+ *   failureRate      failed / finished
+ *   medianLatencyMs  median time from `created` to `completedAt` of
+ *                    completed tasks
+ *
+ * Stats are recomputed lazily, only after the tasks or ratings collections
+ * have changed.
+ */
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+export const MAX_COMMENT_LENGTH = 1000;
+
+const EMPTY = Object.freeze({
+  ratingAverage: null,
+  ratingCount: 0,
+  tasksFinished: 0,
+  completionRate: null,
+  failureRate: null,
+  medianLatencyMs: null
+});
+
+const round = (n, places) => Math.round(n * 10 ** places) / 10 ** places;
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+// Problem with a submitted rating, or null
+export function ratingError({ rating, comment }) {
+  if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+    return `rating must be an integer from ${MIN_RATING} to ${MAX_RATING}`;
+  }
+  if (comment !== undefined && comment !== null &&
+      (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+    return `comment must be a string of at most ${MAX_COMMENT_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Aggregate `tasks` and `ratings` by `keyOf(record)`.
+ *
+ * @returns {Map<string, object>} stats per key
+ */
+export function aggregate(tasks, ratings, keyOf) {
+  const groups = new Map();
+  const group = (key) => {
+    if (!groups.has(key)) groups.set(key, { completed: 0, failed: 0, latencies: [], ratings: [] });
+    return groups.get(key);
+  };
+
+  for (const task of tasks) {
+    if (task.status !== 'completed' && task.status !== 'failed') continue;
+    const g = group(keyOf(task));
+    g[task.status]++;
+    if (task.status === 'completed' && task.completedAt) {
+      g.latencies.push(Date.parse(task.completedAt) - Date.parse(task.created));
+    }
+  }
+  for (const rating of ratings) group(keyOf(rating)).ratings.push(rating.rating);
+
+  const stats = new Map();
+  for (const [key, g] of groups) {
+    const finished = g.completed + g.failed;
+    stats.set(key, {
+      ratingAverage: g.ratings.length ? round(g.ratings.reduce((a, b) => a + b, 0) / g.ratings.length, 2) : null,
+      ratingCount: g.ratings.length,
+      tasksFinished: finished,
+      completionRate: finished ? round(g.completed / finished, 4) : null,
+      failureRate: finished ? round(g.failed / finished, 4) : null,
+      medianLatencyMs: median(g.latencies)
+    });
+  }
+  return stats;
+}
+
+/**
+ * @param {{ store: object }} opts - needs the tasks and ratings collections
+ * @returns {{ forService: (id) => object, forAgent: (id) => object }}
+ */
+export function createReputation({ store }) {
+  let cache = null;
+  const invalidate = () => { cache = null; };
+  store.tasks.subscribe(invalidate);
+  store.ratings.subscribe(invalidate);
+
+  function current() {
+    if (!cache) {
+      const tasks = Array.from(store.tasks.values());
+      const ratings = Array.from(store.ratings.values());
+      cache = {
+        services: aggregate(tasks, ratings, r => r.serviceId),
+        agents: aggregate(tasks, ratings, r => r.toAgent)
+      };
+    }
+    return cache;
+  }
+
+  return {
+    forService: (serviceId) => current().services.get(serviceId) || EMPTY,
+    forAgent: (agentId) => current().agents.get(agentId) || EMPTY
+  };
+}
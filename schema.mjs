@@ -0,0 +1,263 @@
+/**
+ * JSON Schema validation for service input and output
+ *
+ * Providers attach an `inputSchema` and `outputSchema` to a service; the
+ * gateway checks task input before a payment is consumed and provider output
+ * before the task completes. This is a dependency-free validator for the
+ * commonly used subset of JSON Schema (draft 2020-12 vocabulary):
+ *
+ *   type, enum, const, properties, required, additionalProperties, items,
+ *   minItems, maxItems, uniqueItems, minLength, maxLength, pattern, minimum,
+ *   maximum, exclusiveMinimum, exclusiveMaximum, multipleOf, allOf, anyOf,
+ *   oneOf, not
+ *
+ * Annotations (title, description, default, examples, format, $schema,
+ * $id, $comment) are accepted and ignored. Schemas using any other keyword
+ * (e.g. $ref) are refused by checkSchema, so a schema is never silently
+ * enforced only in part.
+ *
+ * Patterns come from providers and run against client input, and a
+ * backtracking pattern such as `(a|a)*` can take exponential time. They are
+ * matched in a worker thread instead: a match that takes longer than
+ * PATTERN_TIMEOUT_MS fails and the worker is replaced. Strings longer than
+ * MAX_PATTERN_INPUT characters fail `pattern` without being matched.
+ *
+ * Errors are `{ path, message }` with `path` a JSON Pointer into the
+ * validated value ('' for the root).
+ */
+
+import { Worker } from 'worker_threads';
+
+const TYPES = ['null', 'boolean', 'object', 'array', 'number', 'integer', 'string'];
+
+const ANNOTATIONS = ['title', 'description', 'default', 'examples', 'format', '$schema', '$id', '$comment', 'readOnly', 'writeOnly', 'deprecated'];
+
+const KEYWORDS = [
+  'type', 'enum', 'const', 'properties', 'required', 'additionalProperties', 'items',
+  'minItems', 'maxItems', 'uniqueItems', 'minLength', 'maxLength', 'pattern',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'allOf', 'anyOf', 'oneOf', 'not'
+];
+
+const MAX_DEPTH = 32;
+const MAX_PATTERN_LENGTH = 512;
+const MAX_PATTERN_INPUT = 10000;
+export const PATTERN_TIMEOUT_MS = 100;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function hasType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function equal(a, b) {
+  return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+}
+
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(k => [k, canonical(value[k])]));
+  }
+  return value;
+}
+
+const pointer = (path, key) => `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+const isCount = (n) => Number.isInteger(n) && n >= 0;
+
+// The matcher worker flags `ready` once it is listening, then answers each
+// { pattern, value, shared } with 1 (match) or 2 (no match) in `shared`
+const MATCHER_SOURCE = `
+const { parentPort, workerData } = require('worker_threads');
+parentPort.on('message', ({ pattern, value, shared }) => {
+  const state = new Int32Array(shared);
+  Atomics.store(state, 0, new RegExp(pattern, 'u').test(value) ? 1 : 2);
+  Atomics.notify(state, 0);
+});
+const ready = new Int32Array(workerData);
+Atomics.store(ready, 0, 1);
+Atomics.notify(ready, 0);
+`;
+
+let matcher = null;
+
+// Test `value` against `pattern` off the main thread, blocking for at most
+// PATTERN_TIMEOUT_MS (plus the worker's start-up). Returns null on timeout.
+function matchPattern(pattern, value) {
+  if (!matcher) {
+    const ready = new SharedArrayBuffer(4);
+    matcher = new Worker(MATCHER_SOURCE, { eval: true, workerData: ready });
+    matcher.unref();
+    Atomics.wait(new Int32Array(ready), 0, 0, 5000);
+  }
+  const shared = new SharedArrayBuffer(4);
+  const state = new Int32Array(shared);
+  matcher.postMessage({ pattern, value, shared });
+  if (Atomics.wait(state, 0, 0, PATTERN_TIMEOUT_MS) === 'timed-out') {
+    matcher.terminate();
+    matcher = null;
+    return null;
+  }
+  return Atomics.load(state, 0) === 1;
+}
+
+/**
+ * Check that `schema` is a schema this validator can enforce in full.
+ *
+ * @returns {string|null} a description of the first problem, or null
+ */
+export function checkSchema(schema, path = '#', depth = 0) {
+  if (typeof schema === 'boolean') return null;
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return `${path} must be an object or boolean`;
+  if (depth > MAX_DEPTH) return `${path} is nested too deeply`;
+
+  for (const key of Object.keys(schema)) {
+    if (!KEYWORDS.includes(key) && !ANNOTATIONS.includes(key)) return `${path}: unsupported keyword "${key}"`;
+  }
+
+  const { type } = schema;
+  if (type !== undefined) {
+    const types = Array.isArray(type) ? type : [type];
+    if (!types.length || !types.every(t => TYPES.includes(t))) return `${path}/type must be one of ${TYPES.join(', ')}`;
+  }
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) return `${path}/enum must be an array`;
+  if (schema.required !== undefined &&
+      !(Array.isArray(schema.required) && schema.required.every(r => typeof r === 'string'))) {
+    return `${path}/required must be an array of property names`;
+  }
+  for (const key of ['minItems', 'maxItems', 'minLength', 'maxLength']) {
+    if (schema[key] !== undefined && !isCount(schema[key])) return `${path}/${key} must be a non-negative integer`;
+  }
+  for (const key of ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum']) {
+    if (schema[key] !== undefined && typeof schema[key] !== 'number') return `${path}/${key} must be a number`;
+  }
+  if (schema.multipleOf !== undefined && !(typeof schema.multipleOf === 'number' && schema.multipleOf > 0)) {
+    return `${path}/multipleOf must be a positive number`;
+  }
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern, 'u');
+    } catch {
+      return `${path}/pattern must be a valid regular expression`;
+    }
+    if (schema.pattern.length > MAX_PATTERN_LENGTH) return `${path}/pattern must be at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  if (schema.properties !== undefined) {
+    if (!schema.properties || typeof schema.properties !== 'object' || Array.isArray(schema.properties)) {
+      return `${path}/properties must be an object`;
+    }
+    for (const [name, sub] of Object.entries(schema.properties)) {
+      const problem = checkSchema(sub, `${path}/properties/${name}`, depth + 1);
+      if (problem) return problem;
+    }
+  }
+  for (const key of ['additionalProperties', 'items', 'not']) {
+    if (schema[key] !== undefined) {
+      const problem = checkSchema(schema[key], `${path}/${key}`, depth + 1);
+      if (problem) return problem;
+    }
+  }
+  for (const key of ['allOf', 'anyOf', 'oneOf']) {
+    if (schema[key] === undefined) continue;
+    if (!Array.isArray(schema[key]) || !schema[key].length) return `${path}/${key} must be a non-empty array`;
+    for (const [i, sub] of schema[key].entries()) {
+      const problem = checkSchema(sub, `${path}/${key}/${i}`, depth + 1);
+      if (problem) return problem;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate `value` against `schema` (already accepted by checkSchema).
+ *
+ * @returns {{ path: string, message: string }[]} empty when valid
+ */
+export function validate(schema, value, path = '') {
+  if (schema === true || schema === undefined || schema === null) return [];
+  if (schema === false) return [{ path, message: 'no value is allowed here' }];
+
+  const errors = [];
+  const fail = (message, at = path) => errors.push({ path: at, message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => hasType(value, t))) {
+      fail(`must be ${types.join(' or ')}`);
+      return errors; // other keywords would only repeat the mismatch
+    }
+  }
+  if (schema.enum && !schema.enum.some(e => equal(e, value))) fail(`must be one of ${JSON.stringify(schema.enum)}`);
+  if (Object.hasOwn(schema, 'const') && !equal(schema.const, value)) fail(`must equal ${JSON.stringify(schema.const)}`);
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined) {
+      if (length > MAX_PATTERN_INPUT) fail(`must be at most ${MAX_PATTERN_INPUT} characters to be matched against a pattern`);
+      else {
+        const matched = matchPattern(schema.pattern, value);
+        if (matched === null) fail(`took longer than ${PATTERN_TIMEOUT_MS}ms to match ${schema.pattern}`);
+        else if (!matched) fail(`must match ${schema.pattern}`);
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`must be < ${schema.exclusiveMaximum}`);
+    if (schema.multipleOf !== undefined && !Number.isInteger(Number((value / schema.multipleOf).toFixed(9)))) {
+      fail(`must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(canonical(v)))).size !== value.length) {
+      fail('must not contain duplicate items');
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, pointer(path, i))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (!Object.hasOwn(value, name)) fail(`missing required property "${name}"`);
+    }
+    const properties = schema.properties || {};
+    for (const [name, item] of Object.entries(value)) {
+      if (Object.hasOwn(properties, name)) {
+        errors.push(...validate(properties[name], item, pointer(path, name)));
+      } else if (schema.additionalProperties === false) {
+        fail(`unexpected property "${name}"`, pointer(path, name));
+      } else if (schema.additionalProperties !== undefined) {
+        errors.push(...validate(schema.additionalProperties, item, pointer(path, name)));
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) errors.push(...validate(sub, value, path));
+  if (schema.anyOf && !schema.anyOf.some(sub => !validate(sub, value, path).length)) {
+    fail('must match at least one schema in anyOf');
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(sub => !validate(sub, value, path).length).length;
+    if (matches !== 1) fail(`must match exactly one schema in oneOf (matched ${matches})`);
+  }
+  if (schema.not !== undefined && !validate(schema.not, value, path).length) fail('must not match the schema in not');
+
+  return errors;
+}
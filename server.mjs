@@ -10,8 +10,31 @@
  */
 
 import express from 'express';
-import { Connection, PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { randomBytes } from 'crypto';
+import { Connection, Keypair, PublicKey } from '@solana/web3.js';
 import { v4 as uuidv4 } from 'uuid';
+import { createStore } from './storage.mjs';
+import { dispatchTask, isValidEndpoint, parseAddressList } from './dispatch.mjs';
+import { encodeTransferRequest, generateReference } from './solanapay.mjs';
+import { isOpen, isFinal } from './lifecycle.mjs';
+import { createPaymentChecker } from './payments.mjs';
+import { createPaymentWatcher } from './watcher.mjs';
+import { createEscrow, loadKeypair } from './escrow.mjs';
+import { splitAmount, isValidFeeBps, providerSOL } from './fees.mjs';
+import { createLedger, createWithdrawals } from './credits.mjs';
+import { createWebhookDispatcher, generateWebhookSecret, WEBHOOK_EVENTS } from './webhooks.mjs';
+import { createEventFeed, streamEvents, HEARTBEAT_MS } from './events.mjs';
+import { parseListQuery, paginate, matchesText } from './listing.mjs';
+import { checkSchema, validate } from './schema.mjs';
+import { createReputation, ratingError } from './reputation.mjs';
+import { pricingError, priceFor, startingPrice, hashInput, quoteMessage, TOKEN_DECIMALS } from './pricing.mjs';
+import { createStaticOracle, createFileOracle, usdToToken } from './oracle.mjs';
+import { parseRateLimits, createRateLimiter, utcDayStart, retryAfterSeconds, DAY_MS } from './limits.mjs';
+import {
+  JSONRPC_ERRORS, FINAL_STATES, rpcResult, rpcError, readMessage, outputArtifact, toA2ATask,
+  serviceSkill, buildAgentCard, DEFAULT_INPUT_MODES, DEFAULT_OUTPUT_MODES
+} from './a2a.mjs';
+import { generateApiKey, hashApiKey, bearerToken, challengeMessage, verifyWalletSignature, signMessage } from './auth.mjs';
 
 const app = express();
 app.use(express.json());
@@ -20,52 +43,843 @@ app.use(express.json());
 const PORT = process.env.PORT || 4100;
 const SOLANA_RPC = process.env.SOLANA_RPC || 'https://api.devnet.solana.com';
 const NETWORK = process.env.SOLANA_NETWORK || 'devnet';
+const USDC_MINT = process.env.USDC_MINT || (NETWORK === 'mainnet-beta'
+  ? 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'
+  : '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU');
+
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const DISPATCH_TIMEOUT_MS = Number(process.env.DISPATCH_TIMEOUT_MS) || 30000;
+const TASK_TIMEOUT_MS = Number(process.env.TASK_TIMEOUT_MS) || 10 * 60 * 1000;
+const ESCROW_KEYPAIR = process.env.ESCROW_KEYPAIR || null;
+const PLATFORM_FEE_BPS = Number(process.env.PLATFORM_FEE_BPS) || 0;
+const TREASURY_WALLET = process.env.TREASURY_WALLET || null;
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+const PAYMENT_TTL_MS = (Number(process.env.PAYMENT_TTL_SECONDS) || 900) * 1000;
+const QUOTE_TTL_MS = (Number(process.env.QUOTE_TTL_SECONDS) || 300) * 1000;
+const QUOTE_KEYPAIR = process.env.QUOTE_KEYPAIR || null;
+const PRICE_ORACLE = process.env.PRICE_ORACLE || null; // 'static' | 'file'
+const SOL_USD_PRICE = Number(process.env.SOL_USD_PRICE) || null;
+const PRICE_FILE = process.env.PRICE_FILE || './data/prices.json';
+const PRICE_MAX_AGE_MS = (Number(process.env.PRICE_MAX_AGE_SECONDS) || 300) * 1000;
+const RATE_LIMITS = parseRateLimits(process.env.RATE_LIMITS);
+const MAX_STREAMS_PER_IP = Number(process.env.MAX_STREAMS_PER_IP) || 20;
+const DAILY_SPEND_CAPS = {
+  SOL: Number(process.env.DAILY_SPEND_CAP_SOL) || null,
+  USDC: Number(process.env.DAILY_SPEND_CAP_USDC) || null
+};
+const ENDPOINT_ALLOWLIST = parseAddressList(process.env.ENDPOINT_ALLOWLIST);
+const TRUST_PROXY = process.env.TRUST_PROXY || 'false'; // 'true', a hop count, or addresses
+const REQUIRE_WALLET_PROOF = process.env.REQUIRE_WALLET_PROOF !== 'false';
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const PAYMENT_WATCHER = process.env.PAYMENT_WATCHER !== 'false';
+const WATCHER_INTERVAL_MS = Number(process.env.WATCHER_INTERVAL_MS) || 10000;
+const STORAGE = process.env.STORAGE || 'memory';
+const STORAGE_PATH = process.env.STORAGE_PATH || './data/gateway.jsonl';
+
+if (!isValidFeeBps(PLATFORM_FEE_BPS)) {
+  throw new Error(`PLATFORM_FEE_BPS must be an integer between 0 and 10000, got ${process.env.PLATFORM_FEE_BPS}`);
+}
+if (PLATFORM_FEE_BPS && !TREASURY_WALLET) {
+  throw new Error('TREASURY_WALLET is required when PLATFORM_FEE_BPS is set');
+}
+if (PRICE_ORACLE && !['static', 'file'].includes(PRICE_ORACLE)) {
+  throw new Error(`PRICE_ORACLE must be static or file, got ${PRICE_ORACLE}`);
+}
+if (PRICE_ORACLE === 'static' && !SOL_USD_PRICE) {
+  throw new Error('SOL_USD_PRICE is required when PRICE_ORACLE=static');
+}
+for (const [token, cap] of Object.entries(DAILY_SPEND_CAPS)) {
+  if (cap !== null && !(cap > 0)) throw new Error(`DAILY_SPEND_CAP_${token} must be a positive number`);
+}
+
+// Client IPs (for per-IP rate limits) come from X-Forwarded-For only behind
+// a trusted proxy
+if (TRUST_PROXY !== 'false') {
+  app.set('trust proxy', TRUST_PROXY === 'true' ? true : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
 
 const connection = new Connection(SOLANA_RPC, 'confirmed');
 
-// --- In-memory stores ---
-const agents = new Map();       // agentId -> { name, wallet, skills, registered }
-const services = new Map();     // serviceId -> { agentId, name, description, price, token }
-const payments = new Map();     // paymentId -> { from, to, serviceId, amount, txSig, status, verified }
-const tasks = new Map();        // taskId -> { paymentId, serviceId, input, output, status }
-
-// --- Agent Card (A2A-compatible) ---
-const AGENT_CARD = {
-  name: 'Solana Agent Payment Gateway',
-  description: 'A decentralized payment gateway enabling agent-to-agent micropayments on Solana. Agents register services with SOL/USDC pricing. Client agents pay on-chain, submit tx signatures, and receive service after on-chain verification.',
-  url: `http://localhost:${PORT}`,
-  version: '1.0.0',
-  capabilities: {
-    streaming: false,
-    pushNotifications: false,
-    stateTransitionHistory: true
+// Escrow mode: consumers pay the gateway's own wallet, which releases or
+// refunds once the task settles
+const escrow = ESCROW_KEYPAIR ? createEscrow({ connection, keypair: loadKeypair(ESCROW_KEYPAIR) }) : null;
+
+// USD prices are converted with this oracle; without one, services cannot
+// be priced in USD
+const oracle = PRICE_ORACLE === 'static' ? createStaticOracle({ rates: { SOL: SOL_USD_PRICE } })
+  : PRICE_ORACLE === 'file' ? createFileOracle({ path: PRICE_FILE, maxAgeMs: PRICE_MAX_AGE_MS })
+  : null;
+
+// Signs quotes: QUOTE_KEYPAIR, else the escrow keypair, else a key that
+// lasts until restart (quotes outlive it only in the store)
+const quoteSigner = QUOTE_KEYPAIR ? loadKeypair(QUOTE_KEYPAIR)
+  : ESCROW_KEYPAIR ? loadKeypair(ESCROW_KEYPAIR)
+  : Keypair.generate();
+
+// --- Stores ---
+// Records are persisted by calling `set` again after every mutation.
+const store = createStore({ driver: STORAGE, path: STORAGE_PATH });
+const agents = store.agents;           // agentId -> { name, wallet, skills, registered }
+const apiKeys = store.apiKeys;         // sha256(apiKey) -> { id, agentId, prefix, created, revokedAt }
+const services = store.services;       // serviceId -> { agentId, name, description, price, token }
+const payments = store.payments;       // paymentId -> { from, to, serviceId, amount, txSig, status, verified }
+const tasks = store.tasks;             // taskId -> { paymentId, serviceId, input, output, status }
+const signatures = store.signatures;   // txSignature -> paymentId (replay protection)
+const idempotencyKeys = store.idempotency; // route:key -> { fingerprint, status, body, created }
+const withdrawals = store.withdrawals;     // withdrawalId -> { agentId, token, amount, to, status, txSignature }
+const webhooks = store.webhooks;           // webhookId -> { agentId, url, events, secret, active }
+const deliveries = store.deliveries;       // deliveryId -> { webhookId, event, payload, status, attempts }
+const a2aTasks = store.a2aTasks;           // A2A task id -> { sessionId, agentId, serviceId, input, paymentId, taskId, history }
+const ratings = store.ratings;             // taskId -> { serviceId, fromAgent, toAgent, rating, comment, created }
+const quotes = store.quotes;               // quoteId -> { serviceId, agentId, token, amount, inputHash, expiresAt, signature }
+const idempotencyInFlight = new Set();     // route:key of requests still being handled
+const challenges = new Map();              // nonce -> { wallet, message, expiresAt } (short-lived, not persisted)
+
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// --- Authentication ---
+// Issue a new API key for an agent. Only the hash is stored; the plaintext
+// key is returned to the caller once.
+function issueApiKey(agentId) {
+  const apiKey = generateApiKey();
+  const record = {
+    id: uuidv4(),
+    agentId,
+    prefix: apiKey.slice(0, 10),
+    created: new Date().toISOString(),
+    revokedAt: null
+  };
+  apiKeys.set(hashApiKey(apiKey), record);
+  return { apiKey, keyId: record.id };
+}
+
+function keysOf(agentId) {
+  return Array.from(apiKeys.entries())
+    .filter(([, k]) => k.agentId === agentId)
+    .map(([hash, k]) => ({ hash, ...k }));
+}
+
+function revokeKey(hash) {
+  const record = apiKeys.get(hash);
+  record.revokedAt = new Date().toISOString();
+  apiKeys.set(hash, record);
+}
+
+// Resolve `Authorization: Bearer <apiKey>` to the calling agent
+function agentFromRequest(req) {
+  const token = bearerToken(req);
+  const record = token && apiKeys.get(hashApiKey(token));
+  const agent = record && !record.revokedAt ? agents.get(record.agentId) : null;
+  return agent && !agent.deregisteredAt ? agent : null;
+}
+
+function requireAgent(req, res, next) {
+  const agent = agentFromRequest(req);
+  if (!agent) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      error: bearerToken(req) ? 'Invalid or revoked API key' : 'Authorization: Bearer <apiKey> required'
+    });
+  }
+  req.agent = agent;
+  next();
+}
+
+// Marketplace operator routes, authenticated with ADMIN_API_KEY
+function requireAdmin(req, res, next) {
+  const token = bearerToken(req);
+  if (!ADMIN_API_KEY || !token || hashApiKey(token) !== hashApiKey(ADMIN_API_KEY)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Admin API key required' });
+  }
+  next();
+}
+
+// Routes under /agents/:id may only be used by that agent
+function requireSelf(req, res, next) {
+  if (req.params.id !== req.agent.id) {
+    return res.status(403).json({ error: 'API key does not belong to this agent' });
+  }
+  next();
+}
+
+// --- Wallet ownership ---
+// Consume a challenge nonce and check the wallet's signature over it.
+// Returns { verified } on success or { status, error } on failure.
+function proveWallet(wallet, { nonce, signature }) {
+  if (!nonce && !signature) {
+    if (REQUIRE_WALLET_PROOF) {
+      return { status: 400, error: 'nonce and signature required: sign the message from GET /agents/challenge with the wallet' };
+    }
+    return { verified: false };
+  }
+
+  const challenge = challenges.get(nonce);
+  challenges.delete(nonce);
+  if (!challenge || challenge.wallet !== wallet || Date.parse(challenge.expiresAt) < Date.now()) {
+    return { status: 400, error: 'Unknown, expired or mismatched challenge nonce' };
+  }
+  if (!signature || !verifyWalletSignature(wallet, challenge.message, signature)) {
+    return { status: 401, error: 'Wallet signature does not match the challenge' };
+  }
+  return { verified: true };
+}
+
+// --- Idempotency ---
+// Replays the stored response when an agent retries a request with the same
+// Idempotency-Key header. Only successful responses are stored, so a retry
+// after an error (e.g. 402 before verification) runs the request again.
+function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  const scope = `${req.agent?.id}:${req.path}:${key}`;
+  const fingerprint = JSON.stringify(req.body || {});
+  if (idempotencyInFlight.has(scope)) {
+    return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+  }
+
+  const saved = idempotencyKeys.get(scope);
+  if (saved && Date.now() - saved.created < IDEMPOTENCY_TTL_MS) {
+    if (saved.fingerprint !== fingerprint) {
+      return res.status(422).json({ error: 'Idempotency-Key was already used with a different request body' });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(saved.status).json(saved.body);
+  }
+
+  idempotencyInFlight.add(scope);
+  res.on('close', () => idempotencyInFlight.delete(scope));
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 400) {
+      idempotencyKeys.set(scope, { fingerprint, status: res.statusCode, body, created: Date.now() });
+    }
+    return json(body);
+  };
+  next();
+}
+
+// --- Rate limits and quotas ---
+const rateLimiter = createRateLimiter();
+setInterval(() => rateLimiter.sweep(), 60000).unref();
+
+// Send a `{ status, body }` failure, with Retry-After when it is temporary
+function sendFailure(res, { status, body }) {
+  if (body.retryAfter) res.set('Retry-After', String(body.retryAfter));
+  return res.status(status).json(body);
+}
+
+// 429 failure for a limit that frees up after `retryAfterMs`
+function limitExceeded(error, retryAfterMs, details) {
+  return { status: 429, body: { error, ...details, retryAfter: retryAfterSeconds(retryAfterMs) } };
+}
+
+// Limit requests to `route` per client IP and per calling agent (see
+// RATE_LIMITS). Runs ahead of authentication, so bad API keys still count
+// against the IP.
+function rateLimit(route) {
+  const rules = RATE_LIMITS[route];
+  return (req, res, next) => {
+    const agent = rules.agent && agentFromRequest(req);
+    const checks = [
+      rules.ip && { scope: 'ip', key: req.ip, rule: rules.ip },
+      agent && { scope: 'agent', key: agent.id, rule: rules.agent }
+    ].filter(Boolean);
+
+    let tightest = null;
+    for (const { scope, key, rule } of checks) {
+      const result = rateLimiter.hit(`${route}:${scope}:${key}`, rule);
+      const windowSeconds = rule.windowMs / 1000;
+      if (!result.allowed) {
+        return sendFailure(res, limitExceeded(
+          `Rate limit exceeded: ${rule.limit} ${route} requests per ${windowSeconds}s per ${scope}`,
+          result.resetMs,
+          { route, scope, limit: rule.limit, windowSeconds }
+        ));
+      }
+      if (!tightest || result.remaining < tightest.remaining) tightest = result;
+    }
+    if (tightest) {
+      res.set({
+        'RateLimit-Limit': String(tightest.limit),
+        'RateLimit-Remaining': String(tightest.remaining),
+        'RateLimit-Reset': String(retryAfterSeconds(tightest.resetMs))
+      });
+    }
+    next();
+  };
+}
+
+// Event streams stay open, so besides the `events` rate limit each client IP
+// may hold at most MAX_STREAMS_PER_IP of them at once
+const openStreams = new Map(); // ip -> count
+function limitStreams(req, res, next) {
+  const open = openStreams.get(req.ip) || 0;
+  if (open >= MAX_STREAMS_PER_IP) {
+    return sendFailure(res, limitExceeded(
+      `Too many open event streams: at most ${MAX_STREAMS_PER_IP} per IP`,
+      HEARTBEAT_MS,
+      { limit: MAX_STREAMS_PER_IP }
+    ));
+  }
+  openStreams.set(req.ip, open + 1);
+  res.on('close', () => {
+    const left = openStreams.get(req.ip) - 1;
+    if (left > 0) openStreams.set(req.ip, left);
+    else openStreams.delete(req.ip);
+  });
+  next();
+}
+
+const toUnits = (token, amount) => Math.round(amount * 10 ** TOKEN_DECIMALS[token]);
+const fromUnits = (token, units) => units / 10 ** TOKEN_DECIMALS[token];
+
+// An agent's daily cap in `token`: its own cap (PUT /agents/:id/limits)
+// within the gateway-wide DAILY_SPEND_CAP_*, or null when uncapped
+function spendCapOf(agent, token) {
+  const caps = [DAILY_SPEND_CAPS[token], agent.spendCaps?.[token]].filter(Boolean);
+  return caps.length ? Math.min(...caps) : null;
+}
+
+// What `agentId` has committed in `token` since midnight UTC: payments
+// opened or paid from credits today, unless they expired unpaid or were
+// refunded. Open payments count, so a cap also bounds pending ones.
+function spentToday(agentId, token, now = Date.now()) {
+  const since = utcDayStart(now);
+  let units = 0;
+  for (const p of payments.values()) {
+    if (p.from !== agentId || p.kind === 'deposit' || p.token !== token) continue;
+    if (Date.parse(p.created) < since || p.status === 'expired' || p.status === 'refunded') continue;
+    if (isOpen(p) && Date.parse(p.expiresAt) <= now) continue;
+    units += toUnits(token, p.quote.amount);
+  }
+  return fromUnits(token, units);
+}
+
+// 429 failure when `charge` would take `agent` past its daily cap, or null
+function spendCapFailure(agent, charge) {
+  const { token, amount } = charge;
+  const cap = spendCapOf(agent, token);
+  if (!cap) return null;
+  const now = Date.now();
+  const spent = spentToday(agent.id, token, now);
+  if (toUnits(token, spent) + toUnits(token, amount) <= toUnits(token, cap)) return null;
+  const resetsAt = utcDayStart(now) + DAY_MS;
+  return limitExceeded(`Daily ${token} spend cap reached`, resetsAt - now, {
+    token, cap, spent, required: amount, resetsAt: new Date(resetsAt).toISOString()
+  });
+}
+
+// Caps, today's spend and rate limits as shown to the agent
+function limitsView(agent) {
+  const now = Date.now();
+  return {
+    agentId: agent.id,
+    dailySpend: Object.fromEntries(['SOL', 'USDC'].map(token => {
+      const cap = spendCapOf(agent, token);
+      const spent = spentToday(agent.id, token, now);
+      return [token, {
+        cap,
+        ownCap: agent.spendCaps?.[token] ?? null,
+        gatewayCap: DAILY_SPEND_CAPS[token],
+        spent,
+        remaining: cap === null ? null : fromUnits(token, Math.max(0, toUnits(token, cap) - toUnits(token, spent)))
+      }];
+    })),
+    resetsAt: new Date(utcDayStart(now) + DAY_MS).toISOString(),
+    rateLimits: Object.fromEntries(Object.entries(RATE_LIMITS).map(([route, scopes]) => [
+      route,
+      Object.fromEntries(Object.entries(scopes).map(([scope, rule]) => [
+        scope, rule && { limit: rule.limit, windowSeconds: rule.windowMs / 1000 }
+      ]))
+    ]))
+  };
+}
+
+// Fallback Retry-After for a busy service that has no latency record yet
+const BUSY_RETRY_MS = 5000;
+
+// 429 failure when `service` already runs its maxConcurrentTasks, or null.
+// Retry-After is the service's median task latency.
+function capacityFailure(service) {
+  const max = service.maxConcurrentTasks;
+  if (!max) return null;
+  const running = Array.from(tasks.values()).filter(t => t.serviceId === service.id && t.status === 'processing').length;
+  if (running < max) return null;
+  return limitExceeded(
+    'Service is at its concurrent task limit; retry later',
+    reputation.forService(service.id).medianLatencyMs ?? BUSY_RETRY_MS,
+    { serviceId: service.id, maxConcurrentTasks: max, running }
+  );
+}
+
+// --- Webhooks ---
+const webhookDispatcher = createWebhookDispatcher({ store, allowed: ENDPOINT_ALLOWLIST });
+webhookDispatcher.start();
+
+// Webhook as shown to its owner; the secret is only returned on creation
+function webhookView(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+// Verification outcomes reported as payment.failed (not_found and RPC
+// errors may still resolve, so they are not failures yet)
+const PAYMENT_FAILED_STATES = ['failed', 'underpaid', 'wrong_recipient', 'wrong_mint', 'memo_mismatch', 'signature_already_used'];
+
+function emitPaymentEvent(payment) {
+  const event = payment.status === 'verified' ? 'payment.verified'
+    : PAYMENT_FAILED_STATES.includes(payment.status) ? 'payment.failed'
+      : null;
+  if (event) webhookDispatcher.emit([payment.from, payment.to].filter(Boolean), event, payment);
+}
+
+// --- Tasks ---
+// The callback token is only ever sent to the provider
+function publicTask(task) {
+  const { callbackToken, ...rest } = task;
+  return rest;
+}
+
+// Record the provider's final answer on a task. Escrowed funds are released
+// to the provider on completion and refunded to the consumer on failure.
+function settleTask(task, { status, output, error }) {
+  if (task.status !== 'processing') return;
+
+  // Output that breaks the service's contract fails the task
+  const outputSchema = services.get(task.serviceId)?.outputSchema;
+  const outputErrors = status === 'completed' && outputSchema ? validate(outputSchema, output ?? null) : [];
+  if (outputErrors.length) {
+    status = 'failed';
+    error = 'Provider output does not match the service outputSchema';
+    task.outputErrors = outputErrors;
+  }
+
+  task.status = status;
+  task.output = output ?? null;
+  task.error = status === 'failed' ? error : null;
+  task.completedAt = new Date().toISOString();
+  tasks.set(task.id, task);
+  webhookDispatcher.emit([task.fromAgent, task.toAgent], `task.${status}`, publicTask(task));
+
+  if (status === 'completed') {
+    const service = services.get(task.serviceId);
+    if (service) {
+      service.tasksCompleted++;
+      services.set(service.id, service);
+    }
+  }
+
+  const payment = payments.get(task.paymentId);
+  if (payment?.kind === 'credit') settleCredits(payment, status === 'completed' ? 'release' : 'refund');
+  else if (payment?.escrowAddress) settleEscrow(payment, status === 'completed' ? 'release' : 'refund');
+}
+
+// Fail tasks the provider never finished, and retry escrow transfers that
+// errored earlier
+function sweepTasks() {
+  const now = Date.now();
+  for (const task of Array.from(tasks.values())) {
+    if (task.status === 'processing' && now - Date.parse(task.created) > TASK_TIMEOUT_MS) {
+      settleTask(task, { status: 'failed', output: null, error: `Provider did not finish within ${TASK_TIMEOUT_MS / 1000}s` });
+    }
+  }
+  for (const payment of Array.from(payments.values())) {
+    if (payment.status === 'verified' && payment.escrowAction) settleEscrow(payment, payment.escrowAction);
+  }
+}
+
+setInterval(sweepTasks, 30000).unref();
+
+// --- Escrow ---
+const escrowInFlight = new Set(); // paymentIds with an escrow transfer being sent
+
+// A transfer that reported an error may still land until its blockhash
+// expires (about 60-90s), so it is only looked up, and sent again if it is
+// not on-chain, after this long
+const ESCROW_RECHECK_MS = 2 * 60 * 1000;
+
+// Send escrowed funds to the provider (`release`) or back to the consumer
+// (`refund`). Failures are recorded on the payment and retried by sweepTasks.
+// Any earlier attempt (one that errored, or one cut short by a restart) may
+// have landed, so it is looked up on-chain before the funds are sent again.
+async function settleEscrow(payment, action) {
+  if (!escrow || payment.status !== 'verified' || escrowInFlight.has(payment.id)) return;
+  if (payment.escrowAddress !== escrow.address) {
+    payment.escrowError = `Escrow wallet changed; funds are held by ${payment.escrowAddress}`;
+    payments.set(payment.id, payment);
+    return;
+  }
+
+  const release = action === 'release';
+  const memo = `${action}:${payment.id}`;
+  const retry = Boolean(payment.escrowAttemptAt && payment.escrowAction === action);
+  if (retry && Date.now() - Date.parse(payment.escrowAttemptAt) < ESCROW_RECHECK_MS) return;
+
+  escrowInFlight.add(payment.id);
+  payment.escrowAction = action;
+  payments.set(payment.id, payment);
+
+  const settled = (signature, how) => {
+    payment[release ? 'releaseSignature' : 'refundSignature'] = signature;
+    payment.escrowError = null;
+    recordStatus(payment, release ? 'released' : 'refunded', `Escrow ${action} transaction ${signature}${how}`);
+
+    const toAgent = release && agents.get(payment.to);
+    if (toAgent) {
+      toAgent.totalEarned += providerSOL(payment);
+      agents.set(toAgent.id, toAgent);
+    }
+  };
+
+  // A release pays the provider its share and the treasury the platform fee
+  const outputs = release
+    ? [{ to: payment.toWallet, amount: payment.providerAmount ?? payment.quote.amount }]
+    : [{ to: payment.fromWallet, amount: payment.quote.amount }];
+  if (release && payment.feeAmount) outputs.push({ to: payment.treasuryWallet, amount: payment.feeAmount });
+
+  try {
+    // An earlier attempt may have landed after all
+    const landed = retry ? await escrow.findTransfer(memo) : null;
+    if (landed) {
+      settled(landed, ' (found on-chain from an earlier attempt)');
+      return;
+    }
+
+    payment.escrowAttemptAt = new Date().toISOString();
+    payments.set(payment.id, payment);
+    const signature = await escrow.transfer({
+      outputs,
+      token: payment.quote.token,
+      mint: payment.quote.mint,
+      decimals: payment.quote.decimals,
+      memo
+    });
+    settled(signature, '');
+  } catch (err) {
+    payment.escrowError = err.message;
+    payments.set(payment.id, payment);
+  } finally {
+    escrowInFlight.delete(payment.id);
+  }
+}
+
+// --- Credits ---
+// Prepaid balances are held in the escrow wallet, which pays out withdrawals
+const ledger = createLedger({ store, decimals: TOKEN_DECIMALS });
+const payouts = createWithdrawals({
+  store,
+  ledger,
+  escrow,
+  decimals: TOKEN_DECIMALS,
+  mints: { USDC: USDC_MINT },
+  recheckMs: ESCROW_RECHECK_MS
+});
+
+// Settle a task paid from credits: the provider's share is credited to the
+// provider's balance on completion, the full price back to the consumer on failure
+function settleCredits(payment, action) {
+  const release = action === 'release';
+  if (release) {
+    ledger.credit(payment.to, payment.token, payment.providerAmount, { type: 'earning', ref: payment.id });
+  } else {
+    ledger.credit(payment.from, payment.token, payment.quote.amount, { type: 'refund', ref: payment.id });
+  }
+  recordStatus(payment, release ? 'released' : 'refunded', `Credits ${release ? 'released to provider' : 'refunded to consumer'}`);
+
+  const toAgent = release && agents.get(payment.to);
+  if (toAgent) {
+    toAgent.totalEarned += providerSOL(payment);
+    agents.set(toAgent.id, toAgent);
+  }
+}
+
+const CREDITS_UNAVAILABLE = { error: 'Credits require a gateway escrow wallet (ESCROW_KEYPAIR)' };
+
+// --- Live events ---
+// Status changes pushed to SSE clients (GET /events, /tasks/:id/events, /payments/:id/events)
+const feed = createEventFeed({ store, taskView: publicTask });
+
+const TASK_DONE_STATES = ['completed', 'failed'];
+
+// --- Reputation ---
+// Ratings, completion rate and latency per service and provider agent
+const reputation = createReputation({ store });
+
+// --- Payments ---
+const checker = createPaymentChecker({ connection, store, ledger, onStatus: emitPaymentEvent });
+const { recordStatus, checkPayment } = checker;
+
+// Settles payments whose transaction lands after the client stopped polling
+const watcher = createPaymentWatcher({ store, checker, intervalMs: WATCHER_INTERVAL_MS });
+if (PAYMENT_WATCHER) watcher.start();
+
+function transitionConflict(res, payment, to) {
+  return res.status(409).json({
+    paymentId: payment.id,
+    error: `Payment cannot move from ${payment.status} to ${to}`,
+    status: payment.status
+  });
+}
+
+// --- Services ---
+// Fee charged on a service: its override if set, else the platform default
+function feeBpsFor(service) {
+  return service.feeBps ?? PLATFORM_FEE_BPS;
+}
+
+/**
+ * What a consumer pays for one call of `service`, in SOL when it has a SOL
+ * (or USD) price unless `token` asks for USDC. Services not priced flat need
+ * the task `input`. A `priceUSD` fills in tokens without their own price:
+ * SOL at the oracle's current rate, USDC one to one. Returns
+ * `{ error, status? }` if the call cannot be priced in that token.
+ */
+async function serviceCharge(service, token, input) {
+  const payToken = token || (service.priceSOL || service.priceUSD ? 'SOL' : 'USDC');
+  if (!['SOL', 'USDC'].includes(payToken)) {
+    return { error: 'token must be SOL or USDC' };
+  }
+
+  const ownPrice = payToken === 'SOL' ? service.priceSOL : service.priceUSDC;
+  if (service.priceUSD && !ownPrice && (service.pricing?.model || 'flat') === 'flat') {
+    const usd = await usdRate(payToken);
+    if (usd.error) return usd;
+    const amount = usdToToken(service.priceUSD, usd.rate, TOKEN_DECIMALS[payToken]);
+    return { ...chargeFor(service, payToken, amount), units: null, usd: { priceUSD: service.priceUSD, ...usd } };
+  }
+
+  const price = priceFor(service, payToken, input);
+  if (price.error) return { error: price.error };
+  return { ...chargeFor(service, payToken, price.amount), units: price.units };
+}
+
+// Response body of a serviceCharge failure, with its HTTP status (400 unless set)
+function chargeFailure({ status = 400, error, reason }) {
+  return { status, body: { error, ...(reason && { reason }) } };
+}
+
+// USD per `token`: USDC is taken at par, SOL comes from the oracle
+async function usdRate(token) {
+  if (token === 'USDC') return { symbol: 'USDC', rate: 1, source: 'par', asOf: new Date().toISOString() };
+  if (!oracle) return { status: 503, error: 'USD pricing needs a price oracle (PRICE_ORACLE)' };
+  try {
+    return await oracle.getRate(token);
+  } catch (err) {
+    return { status: 503, error: 'Price oracle unavailable', reason: err.message };
+  }
+}
+
+// Charge of `amount` in `token`, split between provider and treasury
+function chargeFor(service, token, amount) {
+  const decimals = TOKEN_DECIMALS[token];
+  const feeBps = feeBpsFor(service);
+  return {
+    token,
+    amount,
+    decimals,
+    mint: token === 'USDC' ? USDC_MINT : null,
+    feeBps,
+    ...splitAmount(amount, feeBps, decimals)
+  };
+}
+
+// Listed prices: the flat prices, or the lowest a call can cost under `pricing`
+function listedPrices(pricing, priceSOL, priceUSDC) {
+  if (!pricing || pricing.model === 'flat') return { priceSOL: priceSOL || null, priceUSDC: priceUSDC || null };
+  return { priceSOL: startingPrice(pricing, 'SOL'), priceUSDC: startingPrice(pricing, 'USDC') };
+}
+
+// 422 body for task input that does not match the service's inputSchema,
+// or null if it does (or the service has none)
+function invalidInput(service, input) {
+  if (!service.inputSchema) return null;
+  const errors = validate(service.inputSchema, input);
+  if (!errors.length) return null;
+  return {
+    error: 'Input does not match the service inputSchema',
+    serviceId: service.id,
+    errors,
+    inputSchema: service.inputSchema
+  };
+}
+
+// MIME types such as application/json or text/plain
+function isModeList(modes) {
+  return Array.isArray(modes) && modes.length > 0 && modes.every(m => typeof m === 'string' && /^[\w.+-]+\/[\w.+*-]+$/.test(m));
+}
+
+// Listing view of a service, with the provider's wallet proof status and
+// the platform fee taken from its price (past versions only on /services/:id)
+function serviceView(service) {
+  const { versions, ...rest } = service;
+  return {
+    ...rest,
+    status: serviceStatus(service),
+    version: service.version || 1,
+    reputation: reputation.forService(service.id),
+    platformFeeBps: feeBpsFor(service),
+    walletVerified: agents.get(service.agentId)?.walletVerified || false
+  };
+}
+
+// --- Service management ---
+// Services are never removed: payments and tasks keep pointing at them.
+// Edits to these fields bump `version` and keep the previous values in
+// `versions`; status changes (active, paused, delisted) go to `history`.
+const VERSIONED_FIELDS = [
+  'name', 'description', 'priceSOL', 'priceUSDC', 'priceUSD', 'endpoint',
+  'inputModes', 'outputModes', 'inputSchema', 'outputSchema', 'pricing'
+];
+
+// Operational settings, changed without a new version
+const SETTING_FIELDS = ['status', 'maxConcurrentTasks'];
+
+// Services created before statuses existed are active
+const serviceStatus = (service) => service.status || 'active';
+
+// 409 body when `service` is not taking new buyers, or null
+function notForSale(service) {
+  const status = serviceStatus(service);
+  if (status === 'active') return null;
+  return {
+    error: status === 'paused' ? 'Service is paused and not accepting new payments' : 'Service has been delisted',
+    serviceId: service.id,
+    status
+  };
+}
+
+function setServiceStatus(service, status, reason) {
+  service.history = [
+    ...(service.history || []),
+    { from: serviceStatus(service), to: status, at: new Date().toISOString(), reason }
+  ];
+  service.status = status;
+  services.set(service.id, service);
+}
+
+// Keep agent.servicesOffered equal to the number of services not delisted
+function recountServices(agentId) {
+  const agent = agents.get(agentId);
+  if (!agent) return;
+  agent.servicesOffered = servicesOf(agentId).filter(s => serviceStatus(s) !== 'delisted').length;
+  agents.set(agentId, agent);
+}
+
+// Validate the editable fields present in `body` (create and update).
+// Returns a 400 body, or null if they are all acceptable.
+function serviceFieldError(body) {
+  const { name, priceSOL, priceUSDC, endpoint, inputModes, outputModes, inputSchema, outputSchema } = body;
+
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return { error: 'name must be a non-empty string' };
+  }
+  if (body.description !== undefined && body.description !== null && typeof body.description !== 'string') {
+    return { error: 'description must be a string' };
+  }
+  for (const [field, price] of Object.entries({ priceSOL, priceUSDC, priceUSD: body.priceUSD })) {
+    if (price !== undefined && price !== null && !(typeof price === 'number' && price > 0)) {
+      return { error: `${field} must be a positive number` };
+    }
+  }
+  if (body.priceUSD && !oracle) {
+    return { error: 'priceUSD needs a price oracle; set PRICE_ORACLE on the gateway' };
+  }
+  if (endpoint && !isValidEndpoint(endpoint, { allowed: ENDPOINT_ALLOWLIST })) {
+    return { error: 'endpoint must be an http(s) URL on a public address' };
+  }
+  for (const modes of [inputModes, outputModes]) {
+    if (modes !== undefined && !isModeList(modes)) {
+      return { error: 'inputModes and outputModes must be non-empty arrays of MIME types' };
+    }
+  }
+  for (const [field, schema] of Object.entries({ inputSchema, outputSchema })) {
+    const problem = schema === undefined || schema === null ? null : checkSchema(schema);
+    if (problem) return { error: `${field} is not a supported JSON Schema`, reason: problem };
+  }
+  if (body.maxConcurrentTasks !== undefined && body.maxConcurrentTasks !== null &&
+      !(Number.isInteger(body.maxConcurrentTasks) && body.maxConcurrentTasks > 0)) {
+    return { error: 'maxConcurrentTasks must be a positive integer (or null for no limit)' };
+  }
+  const pricingProblem = pricingError(body.pricing);
+  if (pricingProblem) return { error: pricingProblem };
+  if (body.pricing && body.pricing.model !== 'flat' && (priceSOL != null || priceUSDC != null || body.priceUSD != null)) {
+    return { error: 'priceSOL, priceUSDC and priceUSD do not apply with a pricing model; set the prices inside pricing instead' };
+  }
+  return null;
+}
+
+// The service named by :id, if the calling agent owns it
+function ownService(req, res) {
+  const service = services.get(req.params.id);
+  if (!service) {
+    res.status(404).json({ error: 'Service not found' });
+    return null;
+  }
+  if (service.agentId !== req.agent.id) {
+    res.status(403).json({ error: 'Only the providing agent can manage this service' });
+    return null;
+  }
+  return service;
+}
+
+// --- Agent Cards (A2A-compatible) ---
+// Gateway operations, listed on the gateway card ahead of the services
+const GATEWAY_SKILLS = [
+  {
+    id: 'agent-register',
+    name: 'Register Agent',
+    description: 'Register an agent with a Solana wallet to offer or consume services',
+    tags: ['gateway']
   },
-  skills: [
-    {
-      id: 'agent-register',
-      name: 'Register Agent',
-      description: 'Register an agent with a Solana wallet to offer or consume services'
-    },
-    {
-      id: 'service-list',
-      name: 'List Services',
-      description: 'Browse available agent services and their on-chain pricing'
-    },
-    {
-      id: 'payment-verify',
-      name: 'Verify Payment',
-      description: 'Submit a Solana transaction signature to verify on-chain payment'
-    },
-    {
-      id: 'task-execute',
-      name: 'Execute Task',
-      description: 'Execute a paid service task after payment verification'
-    }
-  ],
-  defaultInputModes: ['application/json'],
-  defaultOutputModes: ['application/json'],
-  authentication: { schemes: ['bearer'] }
-};
+  {
+    id: 'service-list',
+    name: 'List Services',
+    description: 'Browse available agent services and their on-chain pricing',
+    tags: ['gateway']
+  },
+  {
+    id: 'payment-verify',
+    name: 'Verify Payment',
+    description: 'Submit a Solana transaction signature to verify on-chain payment',
+    tags: ['gateway']
+  },
+  {
+    id: 'task-execute',
+    name: 'Execute Task',
+    description: 'Execute a paid service task after payment verification',
+    tags: ['gateway']
+  }
+];
+
+function skillsFor(list) {
+  return list.map(service => serviceSkill(serviceView(service), { tags: agents.get(service.agentId)?.skills }));
+}
+
+// Built per request so the skills follow the service registry
+function gatewayCard() {
+  return buildAgentCard({
+    name: 'Solana Agent Payment Gateway',
+    description: 'A decentralized payment gateway enabling agent-to-agent micropayments on Solana. Agents register services with SOL/USDC pricing. Client agents pay on-chain, submit tx signatures, and receive service after on-chain verification.',
+    url: `${PUBLIC_URL}/a2a`,
+    provider: { organization: 'Solana Agent Payment Gateway', url: PUBLIC_URL },
+    skills: [...GATEWAY_SKILLS, ...skillsFor(Array.from(services.values()).filter(s => !notForSale(s)))]
+  });
+}
+
+// A provider's own card: only its services, still called (and paid for)
+// through the gateway's A2A endpoint
+function providerCard(agent) {
+  return buildAgentCard({
+    name: agent.name,
+    description: `${agent.name} on the Solana Agent Payment Gateway. Each skill is a paid service; send tasks/send with metadata.serviceId set to the skill id.`,
+    url: `${PUBLIC_URL}/a2a`,
+    provider: { organization: agent.name, url: `${PUBLIC_URL}/agents/${agent.id}/agent.json` },
+    skills: skillsFor(servicesOf(agent.id).filter(s => !notForSale(s)))
+  });
+}
 
 // --- Routes ---
 
@@ -75,27 +889,70 @@ app.get('/health', (req, res) => {
     status: 'ok',
     network: NETWORK,
     rpc: SOLANA_RPC,
+    storage: store.driver,
+    escrow: escrow ? escrow.address : null,
     agents: agents.size,
     services: services.size,
     payments: payments.size,
     tasks: tasks.size,
+    watcher: watcher.status(),
     uptime: process.uptime()
   });
 });
 
 // A2A Agent Card
 app.get('/.well-known/agent.json', (req, res) => {
-  res.json(AGENT_CARD);
+  res.json(gatewayCard());
+});
+
+// A provider agent's card, listing only its services
+app.get('/agents/:id/agent.json', rateLimit('read'), (req, res) => {
+  const agent = agents.get(req.params.id);
+  if (!agent || agent.deregisteredAt) return res.status(404).json({ error: 'Agent not found' });
+  res.json(providerCard(agent));
+});
+
+// Issue a challenge for proving wallet ownership
+app.get('/agents/challenge', rateLimit('challenge'), (req, res) => {
+  const { wallet } = req.query;
+  if (!wallet) return res.status(400).json({ error: 'wallet query parameter required' });
+
+  try {
+    new PublicKey(wallet);
+  } catch {
+    return res.status(400).json({ error: 'Invalid Solana wallet address' });
+  }
+
+  // Drop expired challenges
+  for (const [n, c] of challenges) {
+    if (Date.parse(c.expiresAt) < Date.now()) challenges.delete(n);
+  }
+
+  const nonce = randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MS).toISOString();
+  const message = challengeMessage(wallet, nonce, expiresAt);
+  challenges.set(nonce, { wallet, message, expiresAt });
+
+  res.json({
+    nonce,
+    message,
+    expiresAt,
+    instructions: 'Sign `message` (UTF-8) with the wallet keypair and send { nonce, signature } (base58) when registering or changing wallet'
+  });
 });
 
 // Register an agent
-app.post('/agents/register', (req, res) => {
-  const { name, wallet, skills } = req.body;
+app.post('/agents/register', rateLimit('register'), (req, res) => {
+  const { name, wallet, skills, endpoint, nonce, signature } = req.body;
 
   if (!name || !wallet) {
     return res.status(400).json({ error: 'name and wallet are required' });
   }
 
+  if (endpoint && !isValidEndpoint(endpoint, { allowed: ENDPOINT_ALLOWLIST })) {
+    return res.status(400).json({ error: 'endpoint must be an http(s) URL on a public address' });
+  }
+
   // Validate Solana address
   try {
     new PublicKey(wallet);
@@ -103,257 +960,1010 @@ app.post('/agents/register', (req, res) => {
     return res.status(400).json({ error: 'Invalid Solana wallet address' });
   }
 
+  const proof = proveWallet(wallet, { nonce, signature });
+  if (proof.error) return res.status(proof.status).json({ error: proof.error });
+
   const agentId = uuidv4();
   const agent = {
     id: agentId,
     name,
     wallet,
+    walletVerified: proof.verified,
     skills: skills || [],
+    endpoint: endpoint || null,
     registered: new Date().toISOString(),
     servicesOffered: 0,
     totalEarned: 0
   };
 
   agents.set(agentId, agent);
+  const { apiKey, keyId } = issueApiKey(agentId);
 
   res.status(201).json({
     agentId,
     message: `Agent "${name}" registered with wallet ${wallet.slice(0, 8)}...`,
-    apiKey: agentId // Simple auth: agentId = apiKey
+    apiKey, // Shown once; send as `Authorization: Bearer <apiKey>`
+    keyId
+  });
+});
+
+// Change an agent's wallet. Existing services pay the new wallet from now
+// on; payments already initiated keep the wallet they were quoted.
+app.put('/agents/:id/wallet', rateLimit('account'), requireAgent, requireSelf, (req, res) => {
+  const { wallet, nonce, signature } = req.body;
+  if (!wallet) return res.status(400).json({ error: 'wallet required' });
+
+  try {
+    new PublicKey(wallet);
+  } catch {
+    return res.status(400).json({ error: 'Invalid Solana wallet address' });
+  }
+
+  const proof = proveWallet(wallet, { nonce, signature });
+  if (proof.error) return res.status(proof.status).json({ error: proof.error });
+
+  const agent = req.agent;
+  agent.wallet = wallet;
+  agent.walletVerified = proof.verified;
+  agents.set(agent.id, agent);
+
+  for (const service of services.values()) {
+    if (service.agentId === agent.id) {
+      service.payTo = wallet;
+      services.set(service.id, service);
+    }
+  }
+
+  res.json({ agentId: agent.id, wallet, walletVerified: agent.walletVerified });
+});
+
+// Deregister an agent: its services are delisted, its API keys revoked and
+// its webhooks removed. The record stays so past payments and tasks still
+// resolve; tasks already running are left to finish.
+app.delete('/agents/:id', rateLimit('account'), requireAgent, requireSelf, (req, res) => {
+  const agent = req.agent;
+
+  const balance = ledger.balanceOf(agent.id);
+  if (Object.values(balance).some(amount => amount > 0)) {
+    return res.status(409).json({
+      error: 'Withdraw your credit balance before deregistering',
+      balances: balance
+    });
+  }
+
+  const delisted = [];
+  for (const service of servicesOf(agent.id)) {
+    if (serviceStatus(service) === 'delisted') continue;
+    setServiceStatus(service, 'delisted', 'Agent deregistered');
+    delisted.push(service.id);
+  }
+  for (const key of keysOf(agent.id)) {
+    if (!key.revokedAt) revokeKey(key.hash);
+  }
+  for (const webhook of webhooks.values()) {
+    if (webhook.agentId === agent.id && webhook.active) {
+      webhook.active = false;
+      webhooks.set(webhook.id, webhook);
+    }
+  }
+
+  agent.deregisteredAt = new Date().toISOString();
+  agents.set(agent.id, agent);
+  recountServices(agent.id);
+
+  res.json({ agentId: agent.id, deregistered: true, servicesDelisted: delisted });
+});
+
+// List an agent's API keys (metadata only)
+app.get('/agents/:id/keys', rateLimit('account'), requireAgent, requireSelf, (req, res) => {
+  const list = keysOf(req.agent.id).map(({ hash, ...k }) => k);
+  res.json({ keys: list, count: list.length });
+});
+
+// Rotate: issue a new key and revoke every other active key
+app.post('/agents/:id/keys/rotate', rateLimit('account'), requireAgent, requireSelf, (req, res) => {
+  const previous = keysOf(req.agent.id).filter(k => !k.revokedAt);
+  const { apiKey, keyId } = issueApiKey(req.agent.id);
+  for (const k of previous) revokeKey(k.hash);
+
+  res.status(201).json({
+    apiKey,
+    keyId,
+    revoked: previous.map(k => k.id),
+    message: 'New API key issued. Previous keys have been revoked.'
   });
 });
 
-// List registered agents
-app.get('/agents', (req, res) => {
-  const list = Array.from(agents.values()).map(a => ({
-    id: a.id,
-    name: a.name,
-    wallet: a.wallet,
-    skills: a.skills,
-    servicesOffered: a.servicesOffered,
-    totalEarned: a.totalEarned
-  }));
-  res.json({ agents: list, count: list.length });
+// Revoke a single key
+app.delete('/agents/:id/keys/:keyId', rateLimit('account'), requireAgent, requireSelf, (req, res) => {
+  const keys = keysOf(req.agent.id);
+  const key = keys.find(k => k.id === req.params.keyId);
+  if (!key) return res.status(404).json({ error: 'API key not found' });
+  if (key.revokedAt) return res.status(409).json({ error: 'API key already revoked' });
+
+  if (keys.filter(k => !k.revokedAt).length === 1) {
+    return res.status(409).json({ error: 'Cannot revoke the only active API key; rotate it instead' });
+  }
+
+  revokeKey(key.hash);
+  res.json({ keyId: key.id, revoked: true });
+});
+
+// Daily spend caps, today's spend and the gateway's rate limits
+app.get('/agents/:id/limits', rateLimit('account'), requireAgent, requireSelf, (req, res) => {
+  res.json(limitsView(req.agent));
+});
+
+// Set the agent's own daily spend caps ({ dailySpendSOL, dailySpendUSDC };
+// null removes a cap). They apply within the gateway-wide caps.
+app.put('/agents/:id/limits', rateLimit('account'), requireAgent, requireSelf, (req, res) => {
+  const body = req.body || {};
+  const caps = { SOL: body.dailySpendSOL, USDC: body.dailySpendUSDC };
+  if (caps.SOL === undefined && caps.USDC === undefined) {
+    return res.status(400).json({ error: 'dailySpendSOL or dailySpendUSDC required' });
+  }
+  for (const [token, cap] of Object.entries(caps)) {
+    if (cap !== undefined && cap !== null && !(typeof cap === 'number' && cap > 0)) {
+      return res.status(400).json({ error: `dailySpend${token} must be a positive number or null` });
+    }
+  }
+
+  const agent = req.agent;
+  agent.spendCaps = { ...agent.spendCaps };
+  for (const [token, cap] of Object.entries(caps)) {
+    if (cap !== undefined) agent.spendCaps[token] = cap;
+  }
+  agents.set(agent.id, agent);
+  res.json(limitsView(agent));
+});
+
+// Register a webhook. The signing secret is returned only in this response.
+app.post('/agents/:id/webhooks', rateLimit('webhooks'), requireAgent, requireSelf, (req, res) => {
+  const { url, events = WEBHOOK_EVENTS } = req.body || {};
+  if (!url || !isValidEndpoint(url, { allowed: ENDPOINT_ALLOWLIST })) {
+    return res.status(400).json({ error: 'url must be an http(s) URL on a public address' });
+  }
+  if (!Array.isArray(events) || !events.length || events.some(e => !WEBHOOK_EVENTS.includes(e))) {
+    return res.status(400).json({ error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}` });
+  }
+
+  const webhook = {
+    id: uuidv4(),
+    agentId: req.agent.id,
+    url,
+    events: [...new Set(events)],
+    secret: generateWebhookSecret(),
+    active: true,
+    created: new Date().toISOString()
+  };
+  webhooks.set(webhook.id, webhook);
+
+  res.status(201).json({ webhook: webhookView(webhook), secret: webhook.secret });
+});
+
+app.get('/agents/:id/webhooks', rateLimit('webhooks'), requireAgent, requireSelf, (req, res) => {
+  const list = Array.from(webhooks.values())
+    .filter(w => w.agentId === req.agent.id && w.active)
+    .map(webhookView);
+  res.json({ webhooks: list, count: list.length });
+});
+
+// Look up one of the calling agent's webhooks, or respond 404
+function ownWebhook(req, res) {
+  const webhook = webhooks.get(req.params.webhookId);
+  if (!webhook || webhook.agentId !== req.agent.id || !webhook.active) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  return webhook;
+}
+
+// Deactivate a webhook; its delivery log is kept
+app.delete('/agents/:id/webhooks/:webhookId', rateLimit('webhooks'), requireAgent, requireSelf, (req, res) => {
+  const webhook = ownWebhook(req, res);
+  if (!webhook) return;
+  webhook.active = false;
+  webhooks.set(webhook.id, webhook);
+  res.json({ webhookId: webhook.id, deleted: true });
+});
+
+// Delivery log, most recent first
+app.get('/agents/:id/webhooks/:webhookId/deliveries', rateLimit('webhooks'), requireAgent, requireSelf, (req, res) => {
+  const webhook = ownWebhook(req, res);
+  if (!webhook) return;
+  const list = Array.from(deliveries.values()).filter(d => d.webhookId === webhook.id).reverse();
+  res.json({ deliveries: list, count: list.length });
+});
+
+// Send a delivery again now, e.g. after fixing the receiving endpoint
+app.post('/agents/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver', rateLimit('webhooks'), requireAgent, requireSelf, async (req, res) => {
+  const webhook = ownWebhook(req, res);
+  if (!webhook) return;
+  const delivery = deliveries.get(req.params.deliveryId);
+  if (!delivery || delivery.webhookId !== webhook.id) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  res.json(await webhookDispatcher.redeliver(delivery.id));
+});
+
+// --- Listing ---
+
+/**
+ * Sort and page `items` per `?sort=&limit=&cursor=` and send them in the
+ * list envelope under `key`. `sortValues` maps each sortable field to a
+ * function returning an item's value for it.
+ */
+function sendList(req, res, key, items, { sortValues, defaultSort = 'created', view = (item) => item }) {
+  const list = parseListQuery(req.query, { sorts: Object.keys(sortValues), defaultSort });
+  if (list.error) return res.status(400).json({ error: list.error });
+
+  const { items: page, ...envelope } = paginate(items, list, sortValues[list.field]);
+  res.json({ [key]: page.map(view), ...envelope });
+}
+
+// ?maxPriceSOL= as a number, undefined when absent, NaN when malformed
+function maxPriceFilter(req) {
+  if (req.query.maxPriceSOL === undefined) return undefined;
+  const max = Number(req.query.maxPriceSOL);
+  return Number.isFinite(max) && max >= 0 ? max : NaN;
+}
+
+const LIST_TOKENS = ['SOL', 'USDC'];
+
+// Sort keys over reputation stats, for records whose stats `statsOf(id)` returns
+function reputationSorts(statsOf) {
+  return {
+    rating: item => statsOf(item.id).ratingAverage,
+    completionRate: item => statsOf(item.id).completionRate,
+    latency: item => statsOf(item.id).medianLatencyMs
+  };
+}
+
+// USD per token for pricing lists, read once per request. SOL is null while
+// the oracle has no usable rate.
+async function listRates() {
+  const sol = await usdRate('SOL');
+  return { SOL: sol.error ? null : sol.rate, USDC: 1 };
+}
+
+// What one call of `service` costs in `token`: its own price, else its
+// priceUSD converted at `rates` as a payment would be
+function servicePrice(service, token, rates) {
+  const own = token === 'USDC' ? service.priceUSDC : service.priceSOL;
+  if (own || !service.priceUSD || !rates[token]) return own;
+  return usdToToken(service.priceUSD, rates[token], TOKEN_DECIMALS[token]);
+}
+
+// Whether `service` can be paid in `token`; a priceUSD converts to either
+function pricedIn(service, token) {
+  return Boolean(service.priceUSD || (token === 'USDC' ? service.priceUSDC : service.priceSOL));
+}
+
+// ?maxPriceSOL= against the SOL price, including converted USD prices
+function withinMaxPrice(service, maxPriceSOL, rates) {
+  const price = servicePrice(service, 'SOL', rates);
+  return maxPriceSOL === undefined || Boolean(price && price <= maxPriceSOL);
+}
+
+function servicesOf(agentId) {
+  return Array.from(services.values()).filter(s => s.agentId === agentId);
+}
+
+// List registered agents (?q=, ?skill=, ?token=, ?maxPriceSOL= match the
+// agent or any of its services)
+app.get('/agents', rateLimit('read'), async (req, res) => {
+  const { q, skill, token } = req.query;
+  const maxPriceSOL = maxPriceFilter(req);
+  if (Number.isNaN(maxPriceSOL)) return res.status(400).json({ error: 'maxPriceSOL must be a non-negative number' });
+  if (token && !LIST_TOKENS.includes(token)) return res.status(400).json({ error: 'token must be SOL or USDC' });
+
+  const rates = await listRates();
+  const offered = (a) => servicesOf(a.id).filter(s => serviceStatus(s) !== 'delisted');
+  const list = Array.from(agents.values()).filter(a =>
+    !a.deregisteredAt &&
+    matchesText(q, a.name, a.skills, offered(a).map(s => s.name)) &&
+    (!skill || a.skills.includes(skill)) &&
+    (!token || offered(a).some(s => pricedIn(s, token))) &&
+    (maxPriceSOL === undefined || offered(a).some(s => withinMaxPrice(s, maxPriceSOL, rates)))
+  );
+
+  sendList(req, res, 'agents', list, {
+    sortValues: {
+      created: a => a.registered,
+      popularity: a => offered(a).reduce((n, s) => n + s.tasksCompleted, 0),
+      ...reputationSorts(reputation.forAgent),
+      price: a => {
+        const prices = offered(a).map(s => servicePrice(s, 'SOL', rates)).filter(Boolean);
+        return prices.length ? Math.min(...prices) : null;
+      }
+    },
+    view: a => ({
+      id: a.id,
+      name: a.name,
+      wallet: a.wallet,
+      walletVerified: a.walletVerified,
+      skills: a.skills,
+      endpoint: a.endpoint,
+      servicesOffered: a.servicesOffered,
+      totalEarned: a.totalEarned,
+      reputation: reputation.forAgent(a.id),
+      registered: a.registered
+    })
+  });
 });
 
 // Create a service listing
-app.post('/services', (req, res) => {
-  const { agentId, name, description, priceSOL, priceUSDC } = req.body;
+app.post('/services', rateLimit('services'), requireAgent, (req, res) => {
+  const {
+    name, description, priceSOL, priceUSDC, priceUSD, endpoint, inputModes, outputModes, inputSchema, outputSchema, pricing,
+    maxConcurrentTasks
+  } = req.body;
+  const agentId = req.body.agentId || req.agent.id;
+  const byInput = pricing && pricing.model !== 'flat';
+
+  if (!name || (!priceSOL && !priceUSDC && !priceUSD && !byInput)) {
+    return res.status(400).json({ error: 'name and at least one price (priceSOL, priceUSDC, priceUSD or a pricing model) required' });
+  }
 
-  if (!agentId || !name || (!priceSOL && !priceUSDC)) {
-    return res.status(400).json({ error: 'agentId, name, and at least one price (priceSOL or priceUSDC) required' });
+  if (agentId !== req.agent.id) {
+    return res.status(403).json({ error: 'Cannot create services for another agent' });
   }
 
+  const invalid = serviceFieldError(req.body);
+  if (invalid) return res.status(400).json(invalid);
+
   const agent = agents.get(agentId);
   if (!agent) {
     return res.status(404).json({ error: 'Agent not found' });
   }
 
   const serviceId = uuidv4();
+  const now = new Date().toISOString();
   const service = {
     id: serviceId,
     agentId,
     agentName: agent.name,
     name,
     description: description || '',
-    priceSOL: priceSOL || null,
-    priceUSDC: priceUSDC || null,
+    ...listedPrices(pricing, priceSOL, priceUSDC),
+    priceUSD: byInput ? null : priceUSD || null,
+    pricing: pricing || { model: 'flat' },
     payTo: agent.wallet,
-    created: new Date().toISOString(),
+    endpoint: endpoint || null,
+    inputModes: inputModes || DEFAULT_INPUT_MODES,
+    outputModes: outputModes || DEFAULT_OUTPUT_MODES,
+    inputSchema: inputSchema ?? null,
+    outputSchema: outputSchema ?? null,
+    feeBps: null,
+    maxConcurrentTasks: maxConcurrentTasks ?? null,
+    status: 'active',
+    version: 1,
+    versions: [],
+    history: [{ from: null, to: 'active', at: now, reason: 'Service created' }],
+    created: now,
     tasksCompleted: 0
   };
 
   services.set(serviceId, service);
-  agent.servicesOffered++;
+  recountServices(agentId);
 
   res.status(201).json({ serviceId, service });
 });
 
-// List available services
-app.get('/services', (req, res) => {
-  const list = Array.from(services.values());
-  res.json({ services: list, count: list.length });
+// List available services (?q= searches name and description; price
+// filters and sorting use the ?token= price, SOL by default, with priceUSD
+// converted at the oracle's rate). Delisted services only appear with
+// ?status=delisted.
+app.get('/services', rateLimit('read'), async (req, res) => {
+  const { q, agentId, skill, token, status } = req.query;
+  const maxPriceSOL = maxPriceFilter(req);
+  if (Number.isNaN(maxPriceSOL)) return res.status(400).json({ error: 'maxPriceSOL must be a non-negative number' });
+  if (token && !LIST_TOKENS.includes(token)) return res.status(400).json({ error: 'token must be SOL or USDC' });
+
+  const rates = await listRates();
+  const list = Array.from(services.values()).filter(s =>
+    (status ? serviceStatus(s) === status : serviceStatus(s) !== 'delisted') &&
+    matchesText(q, s.name, s.description) &&
+    (!agentId || s.agentId === agentId) &&
+    (!skill || agents.get(s.agentId)?.skills.includes(skill)) &&
+    (!token || pricedIn(s, token)) &&
+    withinMaxPrice(s, maxPriceSOL, rates)
+  );
+
+  sendList(req, res, 'services', list, {
+    sortValues: {
+      created: s => s.created,
+      popularity: s => s.tasksCompleted,
+      price: s => servicePrice(s, token || 'SOL', rates),
+      ...reputationSorts(reputation.forService)
+    },
+    view: serviceView
+  });
 });
 
 // Get a specific service
-app.get('/services/:id', (req, res) => {
+app.get('/services/:id', rateLimit('read'), (req, res) => {
   const service = services.get(req.params.id);
   if (!service) return res.status(404).json({ error: 'Service not found' });
-  res.json(service);
+  res.json({ ...serviceView(service), versions: service.versions || [] });
 });
 
-// Initiate a payment (get payment instructions)
-app.post('/payments/initiate', (req, res) => {
-  const { serviceId, fromAgentId } = req.body;
+// Ratings left for a service (list envelope, newest first by default)
+app.get('/services/:id/ratings', rateLimit('read'), (req, res) => {
+  const service = services.get(req.params.id);
+  if (!service) return res.status(404).json({ error: 'Service not found' });
+
+  const list = Array.from(ratings.values()).filter(r => r.serviceId === service.id);
+  sendList(req, res, 'ratings', list, {
+    defaultSort: '-created',
+    sortValues: { created: r => r.created, rating: r => r.rating }
+  });
+});
 
-  if (!serviceId || !fromAgentId) {
-    return res.status(400).json({ error: 'serviceId and fromAgentId required' });
+// Edit a service, pause/resume it ({ status: 'paused' | 'active' }) or cap
+// its running tasks ({ maxConcurrentTasks }).
+// Payments already initiated keep the price they were quoted.
+app.patch('/services/:id', rateLimit('services'), requireAgent, (req, res) => {
+  const service = ownService(req, res);
+  if (!service) return;
+  if (serviceStatus(service) === 'delisted') {
+    return res.status(409).json({ error: 'Service has been delisted', serviceId: service.id });
   }
 
-  const service = services.get(serviceId);
+  const body = req.body || {};
+  const unknown = Object.keys(body).filter(k => !VERSIONED_FIELDS.includes(k) && !SETTING_FIELDS.includes(k));
+  if (unknown.length) {
+    return res.status(400).json({ error: `Cannot update ${unknown.join(', ')}`, updatable: [...VERSIONED_FIELDS, ...SETTING_FIELDS] });
+  }
+
+  const invalid = serviceFieldError(body);
+  if (invalid) return res.status(400).json(invalid);
+  if (body.status !== undefined && !['active', 'paused'].includes(body.status)) {
+    return res.status(400).json({ error: 'status must be active or paused (DELETE /services/:id delists)' });
+  }
+
+  const pricing = ('pricing' in body ? body.pricing : service.pricing) || { model: 'flat' };
+  const effective = (field) => (field in body ? body[field] : service[field]);
+  if (pricing.model === 'flat') {
+    if (!effective('priceSOL') && !effective('priceUSDC') && !effective('priceUSD')) {
+      return res.status(400).json({ error: 'At least one price (priceSOL, priceUSDC or priceUSD) must remain' });
+    }
+  } else if ('priceSOL' in body || 'priceUSDC' in body || body.priceUSD) {
+    return res.status(400).json({ error: 'priceSOL, priceUSDC and priceUSD do not apply with a pricing model; set the prices inside pricing instead' });
+  }
+
+  const changed = VERSIONED_FIELDS.filter(f => f in body && JSON.stringify(body[f] ?? null) !== JSON.stringify(service[f] ?? null));
+
+  if (changed.length) {
+    const now = new Date().toISOString();
+    const previous = Object.fromEntries(VERSIONED_FIELDS.map(f => [f, service[f] ?? null]));
+    service.versions = [
+      ...(service.versions || []),
+      { version: service.version || 1, ...previous, from: service.updated || service.created, to: now }
+    ];
+    for (const field of changed) service[field] = body[field] ?? null;
+    if (service.description === null) service.description = '';
+    if (!service.inputModes) service.inputModes = DEFAULT_INPUT_MODES;
+    if (!service.outputModes) service.outputModes = DEFAULT_OUTPUT_MODES;
+    service.pricing = pricing;
+    Object.assign(service, listedPrices(pricing, service.priceSOL, service.priceUSDC));
+    if (pricing.model !== 'flat') service.priceUSD = null;
+    service.version = (service.version || 1) + 1;
+    service.updated = now;
+    services.set(service.id, service);
+  }
+
+  if ('maxConcurrentTasks' in body) {
+    service.maxConcurrentTasks = body.maxConcurrentTasks ?? null;
+    services.set(service.id, service);
+  }
+
+  if (body.status && body.status !== serviceStatus(service)) {
+    setServiceStatus(service, body.status, body.status === 'paused' ? 'Paused by provider' : 'Resumed by provider');
+  }
+
+  res.json({ serviceId: service.id, changed, service: serviceView(service) });
+});
+
+// Delist a service. It stays readable (with its history) for the payments
+// and tasks that refer to it, but can no longer be bought.
+app.delete('/services/:id', rateLimit('services'), requireAgent, (req, res) => {
+  const service = ownService(req, res);
+  if (!service) return;
+  if (serviceStatus(service) === 'delisted') {
+    return res.status(409).json({ error: 'Service is already delisted', serviceId: service.id });
+  }
+
+  setServiceStatus(service, 'delisted', 'Delisted by provider');
+  recountServices(service.agentId);
+  res.json({ serviceId: service.id, status: 'delisted' });
+});
+
+// Override the platform fee for one service (null restores the default)
+app.put('/services/:id/fee', requireAdmin, (req, res) => {
+  const service = services.get(req.params.id);
   if (!service) return res.status(404).json({ error: 'Service not found' });
 
-  const fromAgent = agents.get(fromAgentId);
-  if (!fromAgent) return res.status(404).json({ error: 'From agent not found' });
+  const { feeBps } = req.body || {};
+  if (feeBps !== null && !isValidFeeBps(feeBps)) {
+    return res.status(400).json({ error: 'feeBps must be an integer between 0 and 10000, or null' });
+  }
+  if (feeBps && !TREASURY_WALLET) {
+    return res.status(400).json({ error: 'TREASURY_WALLET must be configured to charge a fee' });
+  }
+
+  service.feeBps = feeBps;
+  services.set(service.id, service);
+  res.json(serviceView(service));
+});
+
+// Open a pending payment for one call of `service`, locking `charge` (from
+// serviceCharge) as its quote
+function openPayment(fromAgent, service, charge) {
+  const { token: payToken, amount, decimals, feeBps, providerAmount, feeAmount } = charge;
 
   const paymentId = uuidv4();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + PAYMENT_TTL_MS).toISOString();
+
+  // Who must receive what. In escrow mode the whole amount goes to escrow
+  // and is split on release.
+  const recipients = escrow
+    ? [{ role: 'escrow', recipient: escrow.address, amount }]
+    : [{ role: 'provider', recipient: service.payTo, amount: providerAmount }];
+  if (!escrow && feeAmount) recipients.push({ role: 'treasury', recipient: TREASURY_WALLET, amount: feeAmount });
+
+  // Lock the price: verification always uses this quote, even if the
+  // service is repriced afterwards
+  const quote = {
+    token: payToken,
+    amount,
+    mint: charge.mint,
+    decimals,
+    payTo: recipients[0].recipient,
+    recipients,
+    lockedAt: now.toISOString(),
+    expiresAt
+  };
+
+  const reference = generateReference();
+
   const payment = {
     id: paymentId,
-    serviceId,
-    from: fromAgentId,
+    kind: 'service',
+    serviceId: service.id,
+    serviceVersion: service.version || 1,
+    quoteId: charge.quoteId || null,
+    inputHash: charge.inputHash || null,
+    units: charge.units ?? null,
+    usdRate: charge.usd ? { ...charge.usd, lockedUntil: expiresAt } : null,
+    from: fromAgent.id,
     fromWallet: fromAgent.wallet,
     to: service.agentId,
     toWallet: service.payTo,
-    amountSOL: service.priceSOL,
-    amountUSDC: service.priceUSDC,
+    escrowAddress: escrow ? escrow.address : null,
+    token: payToken,
+    mint: quote.mint,
+    amountSOL: payToken === 'SOL' ? quote.amount : null,
+    amountUSDC: payToken === 'USDC' ? quote.amount : null,
+    feeBps,
+    feeAmount,
+    providerAmount,
+    treasuryWallet: feeAmount ? TREASURY_WALLET : null,
+    quote,
+    reference,
     status: 'pending',
+    history: [{ from: null, to: 'pending', at: now.toISOString(), reason: 'Payment initiated' }],
     txSignature: null,
     verified: false,
-    created: new Date().toISOString()
+    consumed: false,
+    taskId: null,
+    created: now.toISOString(),
+    expiresAt
   };
 
   payments.set(paymentId, payment);
+  return payment;
+}
+
+// How to pay `payment`: a Solana Pay URL when there is a single recipient,
+// and the individual transfers
+function paymentInstructions(payment, service) {
+  const { quote } = payment;
+  return {
+    // A Solana Pay transfer request has a single recipient, so split
+    // payments must be built from `transfers`
+    url: quote.recipients.length === 1
+      ? encodeTransferRequest({
+        recipient: quote.payTo,
+        amount: quote.amount,
+        splToken: quote.mint || undefined,
+        reference: payment.reference,
+        label: service.agentName,
+        message: service.name,
+        memo: `payment:${payment.id}`
+      })
+      : null,
+    transfers: quote.recipients.map(r => ({ role: r.role, payTo: r.recipient, amount: r.amount })),
+    payTo: quote.payTo,
+    token: payment.token,
+    mint: quote.mint,
+    amountSOL: payment.amountSOL,
+    amountUSDC: payment.amountUSDC,
+    reference: payment.reference,
+    memo: `payment:${payment.id}`,
+    network: NETWORK
+  };
+}
+
+// --- Quotes ---
+
+/**
+ * A quote `agent` may pay with: its own, unexpired, unused, correctly
+ * signed, and still matching the service version it priced. Returns
+ * `{ quote }` or `{ status, error }`.
+ */
+function redeemableQuote(quoteId, agent, serviceId) {
+  const quote = quotes.get(quoteId);
+  if (!quote || quote.agentId !== agent.id) return { status: 404, error: 'Quote not found' };
+  if (serviceId && serviceId !== quote.serviceId) return { status: 400, error: 'Quote is for a different service' };
+  if (quote.paymentId) return { status: 409, error: 'Quote has already been used' };
+  if (Date.parse(quote.expiresAt) <= Date.now()) return { status: 410, error: 'Quote has expired; request a new one' };
+  if (!verifyWalletSignature(quote.signer, quoteMessage(quote), quote.signature)) {
+    return { status: 400, error: 'Quote signature is invalid' };
+  }
+  const service = services.get(quote.serviceId);
+  if (service && (service.version || 1) !== quote.serviceVersion) {
+    return { status: 409, error: 'Service has changed since the quote; request a new one' };
+  }
+  return { quote };
+}
+
+// Price a task input. The signed quote holds the amount for QUOTE_TTL_SECONDS
+// and is redeemed once with POST /payments/initiate { quoteId }.
+app.post('/services/:id/quote', rateLimit('quote'), requireAgent, async (req, res) => {
+  const service = services.get(req.params.id);
+  if (!service) return res.status(404).json({ error: 'Service not found' });
+  const unavailable = notForSale(service);
+  if (unavailable) return res.status(409).json(unavailable);
+
+  const { token } = req.body || {};
+  const input = req.body?.input ?? {};
+  const invalid = invalidInput(service, input);
+  if (invalid) return res.status(422).json(invalid);
+
+  const charge = await serviceCharge(service, token, input);
+  if (charge.error) return sendFailure(res, chargeFailure(charge));
+
+  const now = Date.now();
+  const quote = {
+    id: uuidv4(),
+    serviceId: service.id,
+    serviceVersion: service.version || 1,
+    agentId: req.agent.id,
+    token: charge.token,
+    amount: charge.amount,
+    units: charge.units,
+    pricing: service.pricing || { model: 'flat' },
+    inputHash: hashInput(input),
+    usdRate: charge.usd || null,
+    created: new Date(now).toISOString(),
+    expiresAt: new Date(now + QUOTE_TTL_MS).toISOString(),
+    signer: quoteSigner.publicKey.toBase58(),
+    paymentId: null
+  };
+  quote.signature = signMessage(quoteSigner, quoteMessage(quote));
+  quotes.set(quote.id, quote);
 
   res.status(201).json({
-    paymentId,
-    instructions: {
-      payTo: service.payTo,
-      amountSOL: service.priceSOL,
-      amountUSDC: service.priceUSDC,
-      network: NETWORK,
-      memo: `payment:${paymentId}`,
-      message: `Send ${service.priceSOL ? service.priceSOL + ' SOL' : service.priceUSDC + ' USDC'} to ${service.payTo} on ${NETWORK}. Include memo: payment:${paymentId}`
-    }
+    quoteId: quote.id,
+    ...quote,
+    message: `Pay with POST /payments/initiate { "quoteId": "${quote.id}" } before ${quote.expiresAt}, then execute with the same input`
   });
 });
 
-// Submit transaction signature for verification
-app.post('/payments/:id/verify', async (req, res) => {
-  const payment = payments.get(req.params.id);
-  if (!payment) return res.status(404).json({ error: 'Payment not found' });
+// Initiate a payment (get payment instructions)
+// (or, with `quoteId`, pay the amount of a quote and bind its input)
+app.post('/payments/initiate', rateLimit('initiate'), requireAgent, idempotent, async (req, res) => {
+  const { token, quoteId } = req.body;
+  const fromAgentId = req.body.fromAgentId || req.agent.id;
+
+  let quote = null;
+  if (quoteId) {
+    const redeemed = redeemableQuote(quoteId, req.agent, req.body.serviceId);
+    if (redeemed.error) return res.status(redeemed.status).json({ error: redeemed.error, quoteId });
+    quote = redeemed.quote;
+  }
+  const serviceId = quote ? quote.serviceId : req.body.serviceId;
 
-  const { txSignature } = req.body;
-  if (!txSignature) return res.status(400).json({ error: 'txSignature required' });
+  if (!serviceId) {
+    return res.status(400).json({ error: 'serviceId (or quoteId) required' });
+  }
 
-  payment.txSignature = txSignature;
+  if (fromAgentId !== req.agent.id) {
+    return res.status(403).json({ error: 'Cannot initiate payments on behalf of another agent' });
+  }
 
-  try {
-    // Verify transaction on Solana
-    const txInfo = await connection.getTransaction(txSignature, {
-      maxSupportedTransactionVersion: 0,
-      commitment: 'confirmed'
-    });
+  const service = services.get(serviceId);
+  if (!service) return res.status(404).json({ error: 'Service not found' });
+  const unavailable = notForSale(service);
+  if (unavailable) return res.status(409).json(unavailable);
 
-    if (!txInfo) {
-      payment.status = 'not_found';
-      return res.json({
-        paymentId: payment.id,
-        status: 'not_found',
-        message: 'Transaction not found on-chain. It may still be processing.'
-      });
-    }
+  const fromAgent = agents.get(fromAgentId);
+  if (!fromAgent) return res.status(404).json({ error: 'From agent not found' });
 
-    if (txInfo.meta?.err) {
-      payment.status = 'failed';
-      return res.json({
-        paymentId: payment.id,
-        status: 'failed',
-        message: 'Transaction failed on-chain',
-        error: txInfo.meta.err
-      });
-    }
+  const charge = quote
+    ? { ...chargeFor(service, quote.token, quote.amount), units: quote.units, quoteId: quote.id, inputHash: quote.inputHash, usd: quote.usdRate }
+    : await serviceCharge(service, token);
+  if (charge.error) return sendFailure(res, chargeFailure(charge));
 
-    // Verify the transaction involves the expected recipient
-    const accountKeys = txInfo.transaction.message.staticAccountKeys ||
-                       txInfo.transaction.message.accountKeys;
-    const recipientKey = new PublicKey(payment.toWallet);
-    const involvedAccounts = accountKeys.map(k => k.toBase58());
+  const overCap = spendCapFailure(fromAgent, charge);
+  if (overCap) return sendFailure(res, overCap);
 
-    if (!involvedAccounts.includes(recipientKey.toBase58())) {
-      payment.status = 'wrong_recipient';
-      return res.json({
-        paymentId: payment.id,
-        status: 'wrong_recipient',
-        message: 'Transaction does not involve the expected recipient wallet'
-      });
-    }
+  const payment = openPayment(fromAgent, service, charge);
+  if (quote) {
+    quote.paymentId = payment.id;
+    quotes.set(quote.id, quote);
+  }
+  res.status(201).json({
+    paymentId: payment.id,
+    expiresAt: payment.expiresAt,
+    ...(payment.usdRate && { usdRate: payment.usdRate }),
+    instructions: paymentInstructions(payment, service)
+  });
+});
 
-    // Check SOL transfer amount if paying in SOL
-    if (payment.amountSOL) {
-      const preBalances = txInfo.meta.preBalances;
-      const postBalances = txInfo.meta.postBalances;
-      const recipientIdx = involvedAccounts.indexOf(recipientKey.toBase58());
-
-      if (recipientIdx >= 0) {
-        const received = (postBalances[recipientIdx] - preBalances[recipientIdx]) / LAMPORTS_PER_SOL;
-        if (received < payment.amountSOL * 0.99) { // 1% tolerance for rounding
-          payment.status = 'underpaid';
-          return res.json({
-            paymentId: payment.id,
-            status: 'underpaid',
-            expected: payment.amountSOL,
-            received,
-            message: 'Payment amount is less than required'
-          });
-        }
-      }
-    }
+// Verify a payment, by the submitted signature or (with an empty body) by
+// looking up transactions that carry the payment's Solana Pay reference
+app.post('/payments/:id/verify', rateLimit('verify'), requireAgent, async (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment) return res.status(404).json({ error: 'Payment not found' });
 
-    // Payment verified
-    payment.status = 'verified';
-    payment.verified = true;
-    payment.verifiedAt = new Date().toISOString();
-    payment.slot = txInfo.slot;
-    payment.blockTime = txInfo.blockTime;
+  if (payment.from !== req.agent.id) {
+    return res.status(403).json({ error: 'Only the paying agent can verify this payment' });
+  }
 
-    // Update earning stats
-    const toAgent = agents.get(payment.to);
-    if (toAgent) {
-      toAgent.totalEarned += payment.amountSOL || 0;
-    }
+  const { txSignature } = req.body || {};
+  if (!txSignature && !payment.reference) {
+    return res.status(400).json({ error: 'txSignature required' });
+  }
 
-    res.json({
+  // Re-checking a verified payment is harmless
+  if (payment.status === 'verified' && (!txSignature || payment.txSignature === txSignature)) {
+    return res.json({
       paymentId: payment.id,
       status: 'verified',
-      message: 'Payment verified on-chain. You can now execute the service.',
-      txSignature,
-      slot: txInfo.slot,
-      blockTime: txInfo.blockTime
+      message: 'Payment already verified.',
+      txSignature: payment.txSignature,
+      slot: payment.slot,
+      blockTime: payment.blockTime
     });
+  }
 
-  } catch (err) {
-    payment.status = 'error';
-    res.status(500).json({
+  if (!isOpen(payment)) {
+    return res.status(409).json({
       paymentId: payment.id,
-      status: 'error',
-      message: 'Error verifying transaction',
-      error: err.message
+      error: `Payment is ${payment.status}`,
+      status: payment.status
     });
   }
+
+  const { conflict, ...result } = await checkPayment(payment, txSignature);
+  if (conflict && result.message) {
+    return res.status(409).json({ paymentId: payment.id, error: result.message, status: payment.status });
+  }
+  if (conflict) return transitionConflict(res, payment, result.status);
+  res.status(result.status === 'error' ? 500 : 200).json({ paymentId: payment.id, ...result });
 });
 
-// Execute a task (requires verified payment)
-app.post('/tasks/execute', async (req, res) => {
-  const { paymentId, input } = req.body;
+// Deposit prepaid credits. Returns payment instructions for the escrow
+// wallet; once the deposit payment is verified (POST /payments/:id/verify or
+// the watcher) the amount is added to the caller's balance.
+app.post('/credits/deposit', rateLimit('deposit'), requireAgent, idempotent, (req, res) => {
+  if (!escrow) return res.status(503).json(CREDITS_UNAVAILABLE);
 
-  if (!paymentId) {
-    return res.status(400).json({ error: 'paymentId required' });
+  const { token = 'SOL', amount } = req.body || {};
+  if (!['SOL', 'USDC'].includes(token)) {
+    return res.status(400).json({ error: 'token must be SOL or USDC' });
+  }
+  if (typeof amount !== 'number' || !(amount > 0)) {
+    return res.status(400).json({ error: 'amount must be a positive number' });
   }
 
-  const payment = payments.get(paymentId);
-  if (!payment) return res.status(404).json({ error: 'Payment not found' });
+  const paymentId = uuidv4();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + PAYMENT_TTL_MS).toISOString();
+  const mint = token === 'USDC' ? USDC_MINT : null;
+  const quote = {
+    token,
+    amount,
+    mint,
+    decimals: TOKEN_DECIMALS[token],
+    payTo: escrow.address,
+    recipients: [{ role: 'escrow', recipient: escrow.address, amount }],
+    lockedAt: now.toISOString(),
+    expiresAt
+  };
+  const reference = generateReference();
+  const memo = `payment:${paymentId}`;
 
-  if (!payment.verified) {
-    return res.status(402).json({
-      error: 'Payment not verified',
-      status: payment.status,
-      message: 'Submit and verify payment before executing task'
+  payments.set(paymentId, {
+    id: paymentId,
+    kind: 'deposit',
+    serviceId: null,
+    from: req.agent.id,
+    fromWallet: req.agent.wallet,
+    to: null,
+    toWallet: null,
+    escrowAddress: escrow.address,
+    token,
+    mint,
+    amountSOL: token === 'SOL' ? amount : null,
+    amountUSDC: token === 'USDC' ? amount : null,
+    quote,
+    reference,
+    status: 'pending',
+    history: [{ from: null, to: 'pending', at: now.toISOString(), reason: 'Deposit initiated' }],
+    txSignature: null,
+    verified: false,
+    created: now.toISOString(),
+    expiresAt
+  });
+
+  res.status(201).json({
+    paymentId,
+    expiresAt,
+    verify: `/payments/${paymentId}/verify`,
+    instructions: {
+      url: encodeTransferRequest({
+        recipient: escrow.address,
+        amount,
+        splToken: mint || undefined,
+        reference,
+        label: 'Solana Agent Payment Gateway',
+        message: 'Credit deposit',
+        memo
+      }),
+      transfers: [{ role: 'escrow', payTo: escrow.address, amount }],
+      payTo: escrow.address,
+      token,
+      mint,
+      amount,
+      reference,
+      memo,
+      network: NETWORK
+    }
+  });
+});
+
+// Credit balance and recent ledger entries
+app.get('/agents/:id/balance', rateLimit('account'), requireAgent, requireSelf, (req, res) => {
+  res.json({
+    agentId: req.agent.id,
+    balances: ledger.balanceOf(req.agent.id),
+    ledger: ledger.entriesOf(req.agent.id)
+  });
+});
+
+// Withdraw credits to the agent's wallet. The escrow wallet sends the funds
+// right away. A transfer that reports an error may still land, so the
+// withdrawal stays `unconfirmed` until sweepWithdrawals finds it on-chain
+// (completed) or not (failed, and the amount is credited back).
+app.post('/agents/:id/withdrawals', rateLimit('withdraw'), requireAgent, requireSelf, idempotent, async (req, res) => {
+  if (!escrow) return res.status(503).json(CREDITS_UNAVAILABLE);
+
+  const { token = 'SOL', amount } = req.body || {};
+  if (!['SOL', 'USDC'].includes(token)) {
+    return res.status(400).json({ error: 'token must be SOL or USDC' });
+  }
+  if (typeof amount !== 'number' || !(amount > 0)) {
+    return res.status(400).json({ error: 'amount must be a positive number' });
+  }
+
+  const withdrawal = await payouts.withdraw(req.agent.id, { token, amount, to: req.agent.wallet });
+  if (!withdrawal) {
+    return res.status(400).json({
+      error: 'Insufficient credits',
+      balance: ledger.balanceOf(req.agent.id)[token]
     });
   }
 
-  const service = services.get(payment.serviceId);
-  if (!service) return res.status(404).json({ error: 'Service not found' });
+  if (withdrawal.status === 'completed') return res.status(201).json(withdrawal);
+  res.status(502).json({
+    ...withdrawal,
+    message: `The transfer reported an error. If it did not land, the amount is credited back within ${ESCROW_RECHECK_MS / 60000} minutes.`
+  });
+});
+
+// Settle withdrawals left unconfirmed (see createWithdrawals)
+setInterval(() => escrow && payouts.sweep(), 30000).unref();
+
+app.get('/agents/:id/withdrawals', rateLimit('account'), requireAgent, requireSelf, (req, res) => {
+  const list = Array.from(withdrawals.values()).filter(w => w.agentId === req.agent.id);
+  res.json({ withdrawals: list, count: list.length });
+});
+
+// Provider endpoint for a service, or null if there is nowhere to send tasks
+function endpointFor(service) {
+  return service.endpoint || agents.get(service.agentId)?.endpoint || null;
+}
+
+function noEndpoint(service) {
+  return {
+    error: 'Provider has no endpoint',
+    message: `Agent "${service.agentName}" has not registered an endpoint for service "${service.name}"`
+  };
+}
+
+// Pay for one call of a service from `agent`'s credit balance.
+// Returns { payment } (already verified) or { status, body } on failure.
+async function payWithCredits(agent, { serviceId, token, input }) {
+  if (!escrow) return { status: 503, body: CREDITS_UNAVAILABLE };
+  if (!serviceId) return { status: 400, body: { error: 'serviceId required' } };
+
+  const service = services.get(serviceId);
+  if (!service) return { status: 404, body: { error: 'Service not found' } };
+  if (notForSale(service)) return { status: 409, body: notForSale(service) };
+  if (!endpointFor(service)) return { status: 503, body: noEndpoint(service) };
+
+  const charge = await serviceCharge(service, token, input ?? {});
+  if (charge.error) return chargeFailure(charge);
+  const overCap = spendCapFailure(agent, charge);
+  if (overCap) return overCap;
+
+  const paymentId = uuidv4();
+  if (!ledger.debit(agent.id, charge.token, charge.amount, { type: 'payment', ref: paymentId })) {
+    return {
+      status: 402,
+      body: {
+        error: 'Insufficient credits',
+        token: charge.token,
+        required: charge.amount,
+        balance: ledger.balanceOf(agent.id)[charge.token],
+        message: 'Deposit with POST /credits/deposit or pay on-chain with POST /payments/initiate'
+      }
+    };
+  }
 
+  const now = new Date().toISOString();
+  const payment = {
+    id: paymentId,
+    kind: 'credit',
+    serviceId,
+    serviceVersion: service.version || 1,
+    units: charge.units ?? null,
+    usdRate: charge.usd || null,
+    from: agent.id,
+    fromWallet: agent.wallet,
+    to: service.agentId,
+    toWallet: service.payTo,
+    escrowAddress: null,
+    token: charge.token,
+    mint: charge.mint,
+    amountSOL: charge.token === 'SOL' ? charge.amount : null,
+    amountUSDC: charge.token === 'USDC' ? charge.amount : null,
+    feeBps: charge.feeBps,
+    feeAmount: charge.feeAmount,
+    providerAmount: charge.providerAmount,
+    treasuryWallet: charge.feeAmount ? TREASURY_WALLET : null,
+    quote: { token: charge.token, amount: charge.amount, mint: charge.mint, decimals: charge.decimals, lockedAt: now },
+    status: 'verified',
+    history: [{ from: null, to: 'verified', at: now, reason: 'Paid from prepaid credits' }],
+    txSignature: null,
+    verified: true,
+    verifiedAt: now,
+    consumed: false,
+    taskId: null,
+    created: now
+  };
+  payments.set(paymentId, payment);
+  return { payment };
+}
+
+// Consume a verified payment and forward its task to the provider in the
+// background; the client follows /tasks/:id or its events
+function startTask(payment, service, endpoint, input) {
+  const paymentId = payment.id;
   const taskId = uuidv4();
   const task = {
     id: taskId,
@@ -364,51 +1974,440 @@ app.post('/tasks/execute', async (req, res) => {
     toAgent: payment.to,
     input: input || {},
     output: null,
+    error: null,
     status: 'processing',
+    endpoint,
+    callbackToken: randomBytes(24).toString('hex'),
     created: new Date().toISOString()
   };
 
   tasks.set(taskId, task);
+  payment.consumed = true;
+  payment.consumedAt = task.created;
+  payment.taskId = taskId;
+  payments.set(paymentId, payment);
 
-  // Simulate task execution (in production, this would dispatch to the actual agent)
-  setTimeout(() => {
-    task.status = 'completed';
-    task.output = {
-      result: `Task "${service.name}" completed successfully`,
-      processedBy: service.agentName,
-      input: task.input,
-      timestamp: new Date().toISOString()
-    };
-    task.completedAt = new Date().toISOString();
-    service.tasksCompleted++;
-  }, 1000);
+  dispatchTask(endpoint, {
+    taskId,
+    serviceId: service.id,
+    serviceName: service.name,
+    fromAgent: payment.from,
+    paymentId,
+    input: task.input,
+    callback: {
+      url: `${PUBLIC_URL}/tasks/${taskId}/result`,
+      token: task.callbackToken
+    }
+  }, { timeoutMs: DISPATCH_TIMEOUT_MS, allowed: ENDPOINT_ALLOWLIST }).then(result => {
+    if (result.status === 'processing') {
+      task.dispatchedAt = new Date().toISOString();
+      tasks.set(taskId, task);
+    } else {
+      settleTask(task, result);
+    }
+  });
+
+  return task;
+}
 
+// Execute a task (requires a verified payment, or `useCredits: true` to pay
+// from the caller's credit balance)
+app.post('/tasks/execute', rateLimit('execute'), requireAgent, idempotent, async (req, res) => {
+  const { useCredits } = req.body;
+  const input = req.body.input ?? {};
+  let payment;
+
+  if (!useCredits) {
+    if (!req.body.paymentId) {
+      return res.status(400).json({ error: 'paymentId (or serviceId with useCredits) required' });
+    }
+
+    payment = payments.get(req.body.paymentId);
+    if (!payment) return res.status(404).json({ error: 'Payment not found' });
+
+    if (payment.from !== req.agent.id) {
+      return res.status(403).json({ error: 'Only the paying agent can execute this payment' });
+    }
+
+    if (payment.kind === 'deposit') {
+      return res.status(400).json({ error: 'Deposits add credits; execute with useCredits instead' });
+    }
+
+    if (!payment.verified) {
+      return res.status(402).json({
+        error: 'Payment not verified',
+        status: payment.status,
+        message: 'Submit and verify payment before executing task'
+      });
+    }
+
+    // Each verified payment buys exactly one task
+    if (payment.consumed) {
+      return res.status(409).json({
+        error: 'Payment already consumed',
+        taskId: payment.taskId,
+        message: 'This payment has already been used to execute a task. Initiate a new payment.'
+      });
+    }
+  }
+
+  // Refuse bad input before the payment (or any credits) is used
+  const target = services.get(useCredits ? req.body.serviceId : payment.serviceId);
+  const invalid = target && invalidInput(target, input);
+  if (invalid) return res.status(422).json(invalid);
+  if (payment?.inputHash && hashInput(input) !== payment.inputHash) {
+    return res.status(422).json({ error: 'Input differs from the input this payment was quoted for', quoteId: payment.quoteId });
+  }
+
+  // A busy service is refused before anything is paid or consumed
+  const busy = target && capacityFailure(target);
+  if (busy) return sendFailure(res, busy);
+
+  if (useCredits) {
+    const paid = await payWithCredits(req.agent, req.body);
+    if (!paid.payment) return sendFailure(res, paid);
+    payment = paid.payment;
+  }
+
+  const service = services.get(payment.serviceId);
+  if (!service) return res.status(404).json({ error: 'Service not found' });
+
+  // Refuse before consuming the payment if there is nowhere to send the task
+  const endpoint = endpointFor(service);
+  if (!endpoint) return res.status(503).json(noEndpoint(service));
+
+  const task = startTask(payment, service, endpoint, input);
   res.status(201).json({
-    taskId,
+    taskId: task.id,
     status: 'processing',
     message: `Task dispatched to agent "${service.agentName}" for service "${service.name}"`,
-    checkStatus: `/tasks/${taskId}`
+    checkStatus: `/tasks/${task.id}`
   });
 });
 
+// Provider callback for long-running tasks
+app.post('/tasks/:id/result', rateLimit('result'), (req, res) => {
+  const task = tasks.get(req.params.id);
+  if (!task) return res.status(404).json({ error: 'Task not found' });
+
+  // Either the per-task callback token or the provider's own API key
+  const byToken = req.get('X-Callback-Token') === task.callbackToken;
+  if (!byToken && agentFromRequest(req)?.id !== task.toAgent) {
+    return res.status(401).json({ error: 'X-Callback-Token or the provider\'s API key required' });
+  }
+
+  if (task.status !== 'processing') {
+    return res.status(409).json({ error: `Task is already ${task.status}` });
+  }
+
+  const { status, output, error } = req.body;
+  if (!['completed', 'failed', 'processing'].includes(status)) {
+    return res.status(400).json({ error: 'status must be completed, failed or processing' });
+  }
+
+  // Partial output from a task still running, streamed to /tasks/:id/events
+  if (status === 'processing') {
+    if (output === undefined) return res.status(400).json({ error: 'output required for a progress update' });
+    task.outputChunks = [...(task.outputChunks || []), output];
+    tasks.set(task.id, task);
+    return res.status(202).json({ taskId: task.id, status: task.status, chunks: task.outputChunks.length });
+  }
+
+  settleTask(task, { status, output: output ?? null, error: error || null });
+  res.json({ taskId: task.id, status: task.status, ...(task.outputErrors && { error: task.error, outputErrors: task.outputErrors }) });
+});
+
+// Rate a finished task (1-5, optional comment), once, as the paying agent
+app.post('/tasks/:id/rating', rateLimit('rating'), requireAgent, (req, res) => {
+  const task = tasks.get(req.params.id);
+  if (!task) return res.status(404).json({ error: 'Task not found' });
+  if (task.fromAgent !== req.agent.id) {
+    return res.status(403).json({ error: 'Only the paying agent can rate this task' });
+  }
+  if (!TASK_DONE_STATES.includes(task.status)) {
+    return res.status(409).json({ error: 'Task has not finished yet', status: task.status });
+  }
+  if (ratings.has(task.id)) {
+    return res.status(409).json({ error: 'Task has already been rated', rating: ratings.get(task.id) });
+  }
+
+  const { rating, comment } = req.body || {};
+  const problem = ratingError({ rating, comment });
+  if (problem) return res.status(400).json({ error: problem });
+
+  const record = {
+    id: task.id,
+    taskId: task.id,
+    serviceId: task.serviceId,
+    fromAgent: task.fromAgent,
+    toAgent: task.toAgent,
+    rating,
+    comment: comment || null,
+    created: new Date().toISOString()
+  };
+  ratings.set(task.id, record);
+  res.status(201).json({ rating: record, service: reputation.forService(task.serviceId) });
+});
+
 // Get task status
-app.get('/tasks/:id', (req, res) => {
+app.get('/tasks/:id', rateLimit('read'), (req, res) => {
   const task = tasks.get(req.params.id);
   if (!task) return res.status(404).json({ error: 'Task not found' });
-  res.json(task);
+  res.json(publicTask(task));
 });
 
 // Get payment status
-app.get('/payments/:id', (req, res) => {
+app.get('/payments/:id', rateLimit('read'), (req, res) => {
   const payment = payments.get(req.params.id);
   if (!payment) return res.status(404).json({ error: 'Payment not found' });
   res.json(payment);
 });
 
+// Stream a task's status changes and partial output; ends once it settles
+app.get('/tasks/:id/events', rateLimit('events'), limitStreams, (req, res) => {
+  const task = tasks.get(req.params.id);
+  if (!task) return res.status(404).json({ error: 'Task not found' });
+
+  streamEvents(req, res, feed, {
+    filter: e => e.taskId === task.id,
+    initial: [{ type: 'task.status', agents: [task.fromAgent, task.toAgent], taskId: task.id, status: task.status, data: publicTask(task) }],
+    done: e => e.type === 'task.status' && TASK_DONE_STATES.includes(e.status)
+  });
+});
+
+// Stream a payment's status changes; ends once it reaches a final status
+app.get('/payments/:id/events', rateLimit('events'), limitStreams, (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment) return res.status(404).json({ error: 'Payment not found' });
+
+  streamEvents(req, res, feed, {
+    filter: e => e.paymentId === payment.id,
+    initial: [{ type: 'payment.status', agents: [payment.from, payment.to].filter(Boolean), paymentId: payment.id, status: payment.status, data: payment }],
+    done: e => isFinal(payment, e.status)
+  });
+});
+
+// The calling agent's feed: events of its own payments and tasks, optionally
+// limited to some event types (?type=payment.status,task.output)
+app.get('/events', rateLimit('events'), limitStreams, requireAgent, (req, res) => {
+  const types = req.query.type ? String(req.query.type).split(',') : null;
+  streamEvents(req, res, feed, {
+    filter: e => e.agents.includes(req.agent.id) && (!types || types.includes(e.type))
+  });
+});
+
+// --- A2A JSON-RPC ---
+// A2A tasks wrap the REST flow: the first tasks/send opens a payment and
+// answers input-required with its instructions; sending again (with
+// metadata.txSignature, or nothing to look the payment up by reference)
+// verifies it and starts the gateway task.
+
+function a2aView(record, extra = {}) {
+  const task = record.taskId ? tasks.get(record.taskId) : null;
+  const payment = record.paymentId ? payments.get(record.paymentId) : null;
+  const service = services.get(record.serviceId);
+  return toA2ATask(record, {
+    task: task && publicTask(task),
+    payment,
+    instructions: payment && !task && service ? paymentInstructions(payment, service) : undefined,
+    ...extra
+  });
+}
+
+function a2aRecordFor(agent, id) {
+  const record = a2aTasks.get(id);
+  return record && record.agentId === agent.id ? record : null;
+}
+
+// tasks/send. Returns { task } or { error: [code, message, data?] }.
+async function a2aSend(agent, params) {
+  const { id, sessionId, message, metadata = {} } = params || {};
+  if (!id || !message || !Array.isArray(message.parts)) {
+    return { error: [JSONRPC_ERRORS.INVALID_PARAMS, 'params.id and params.message.parts are required'] };
+  }
+
+  let record = a2aTasks.get(id);
+  if (record && record.agentId !== agent.id) return { error: [JSONRPC_ERRORS.TASK_NOT_FOUND, 'Task not found'] };
+
+  const now = new Date().toISOString();
+  if (!record) {
+    const service = services.get(metadata.serviceId);
+    if (!service) return { error: [JSONRPC_ERRORS.INVALID_PARAMS, 'metadata.serviceId must name a listed service'] };
+
+    const { text, data } = readMessage(message);
+    const input = { ...(text && { text }), ...data };
+    const invalid = invalidInput(service, input);
+    if (invalid) return { error: [JSONRPC_ERRORS.INVALID_PARAMS, invalid.error, { errors: invalid.errors, inputSchema: invalid.inputSchema }] };
+
+    record = {
+      id,
+      sessionId: sessionId || uuidv4(),
+      agentId: agent.id,
+      serviceId: service.id,
+      input,
+      paymentId: null,
+      taskId: null,
+      canceled: false,
+      history: [],
+      created: now
+    };
+  } else if (record.taskId || record.canceled) {
+    // The gateway task is single-turn; later messages only read its state
+    return { task: a2aView(record) };
+  }
+  record.history.push(message);
+  record.updated = now;
+  a2aTasks.set(id, record);
+
+  const service = services.get(record.serviceId);
+  if (!service) return { error: [JSONRPC_ERRORS.GATEWAY_ERROR, 'Service is no longer listed'] };
+  if (!endpointFor(service)) return { error: [JSONRPC_ERRORS.GATEWAY_ERROR, 'Provider has no endpoint', noEndpoint(service)] };
+
+  let payment = record.paymentId ? payments.get(record.paymentId) : null;
+  let verification;
+
+  if (!payment && metadata.useCredits) {
+    const busy = capacityFailure(service);
+    if (busy) return { error: [JSONRPC_ERRORS.GATEWAY_ERROR, busy.body.error, busy.body] };
+    const paid = await payWithCredits(agent, { serviceId: service.id, token: metadata.token, input: record.input });
+    if (!paid.payment) return { error: [JSONRPC_ERRORS.GATEWAY_ERROR, paid.body.error, paid.body] };
+    payment = paid.payment;
+  } else if (!payment && metadata.paymentId) {
+    payment = payments.get(metadata.paymentId);
+    if (!payment || payment.from !== agent.id || payment.serviceId !== service.id || payment.consumed) {
+      return { error: [JSONRPC_ERRORS.INVALID_PARAMS, 'metadata.paymentId must be an unused payment for this service'] };
+    }
+    if (payment.inputHash && hashInput(record.input) !== payment.inputHash) {
+      return { error: [JSONRPC_ERRORS.INVALID_PARAMS, 'Input differs from the input this payment was quoted for', { quoteId: payment.quoteId }] };
+    }
+  } else if (!payment) {
+    if (notForSale(service)) return { error: [JSONRPC_ERRORS.GATEWAY_ERROR, notForSale(service).error, notForSale(service)] };
+    const charge = await serviceCharge(service, metadata.token, record.input);
+    if (charge.error) {
+      const failed = chargeFailure(charge);
+      return { error: [failed.status === 400 ? JSONRPC_ERRORS.INVALID_PARAMS : JSONRPC_ERRORS.GATEWAY_ERROR, charge.error, failed.body] };
+    }
+    const overCap = spendCapFailure(agent, charge);
+    if (overCap) return { error: [JSONRPC_ERRORS.GATEWAY_ERROR, overCap.body.error, overCap.body] };
+    payment = openPayment(agent, service, charge);
+    record.paymentId = payment.id;
+    a2aTasks.set(id, record);
+    return { task: a2aView(record) };
+  }
+  record.paymentId = payment.id;
+
+  if (!payment.verified && isOpen(payment)) {
+    verification = await checkPayment(payment, metadata.txSignature);
+  }
+
+  if (payment.verified && !payment.consumed) {
+    // The payment stays unconsumed; sending the task again starts it
+    const busy = capacityFailure(service);
+    if (busy) {
+      a2aTasks.set(id, record);
+      return { error: [JSONRPC_ERRORS.GATEWAY_ERROR, busy.body.error, busy.body] };
+    }
+    record.taskId = startTask(payment, service, endpointFor(service), record.input).id;
+  }
+  a2aTasks.set(id, record);
+  return { task: a2aView(record, { verification }) };
+}
+
+function a2aCancel(agent, { id } = {}) {
+  const record = a2aRecordFor(agent, id);
+  if (!record) return { error: [JSONRPC_ERRORS.TASK_NOT_FOUND, 'Task not found'] };
+  if (record.taskId) {
+    return { error: [JSONRPC_ERRORS.TASK_NOT_CANCELABLE, 'Task has already been dispatched to the provider'] };
+  }
+  record.canceled = true;
+  record.updated = new Date().toISOString();
+  a2aTasks.set(id, record);
+  return { task: a2aView(record) };
+}
+
+function writeRpcEvent(res, id, result) {
+  res.write(`data: ${JSON.stringify(rpcResult(id, result))}\n\n`);
+}
+
+// tasks/sendSubscribe: the tasks/send result as a status event, then status
+// and artifact updates from the gateway task until it settles
+async function a2aSubscribe(req, res, rpcId, params) {
+  const sent = await a2aSend(req.agent, params);
+  if (sent.error) return res.json(rpcError(rpcId, ...sent.error));
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  const { task } = sent;
+  const isFinal = (state) => FINAL_STATES.includes(state) || state === 'input-required';
+  writeRpcEvent(res, rpcId, { id: task.id, status: task.status, final: isFinal(task.status.state) });
+  for (const artifact of task.artifacts) writeRpcEvent(res, rpcId, { id: task.id, artifact });
+  if (isFinal(task.status.state)) return res.end();
+
+  const record = a2aTasks.get(task.id);
+  const unsubscribe = feed.subscribe(e => e.taskId === record.taskId, (event) => {
+    if (event.type === 'task.output') {
+      writeRpcEvent(res, rpcId, { id: task.id, artifact: outputArtifact(event.data.output, { append: true }) });
+      return;
+    }
+    const update = a2aView(record);
+    const final = isFinal(update.status.state);
+    for (const artifact of update.artifacts) writeRpcEvent(res, rpcId, { id: task.id, artifact });
+    writeRpcEvent(res, rpcId, { id: task.id, status: update.status, final });
+    if (final) {
+      unsubscribe();
+      res.end();
+    }
+  });
+  req.on('close', unsubscribe);
+}
+
+// JSON-RPC 2.0 endpoint for A2A clients (authenticated like the REST API)
+app.post('/a2a', rateLimit('a2a'), requireAgent, async (req, res) => {
+  const { jsonrpc, id, method, params } = req.body || {};
+  if (jsonrpc !== '2.0' || typeof method !== 'string') {
+    return res.json(rpcError(id, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid JSON-RPC 2.0 request'));
+  }
+
+  let outcome;
+  switch (method) {
+    case 'tasks/send':
+      outcome = await a2aSend(req.agent, params);
+      break;
+    case 'tasks/get': {
+      const record = a2aRecordFor(req.agent, params?.id);
+      outcome = record
+        ? { task: a2aView(record, { historyLength: params.historyLength }) }
+        : { error: [JSONRPC_ERRORS.TASK_NOT_FOUND, 'Task not found'] };
+      break;
+    }
+    case 'tasks/cancel':
+      outcome = a2aCancel(req.agent, params);
+      break;
+    case 'tasks/sendSubscribe':
+      return a2aSubscribe(req, res, id, params);
+    default:
+      return res.json(rpcError(id, JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method ${method} not found`));
+  }
+
+  res.json(outcome.error ? rpcError(id, ...outcome.error) : rpcResult(id, outcome.task));
+});
+
 // Dashboard / stats
-app.get('/stats', (req, res) => {
-  const verifiedPayments = Array.from(payments.values()).filter(p => p.verified);
-  const totalSOL = verifiedPayments.reduce((sum, p) => sum + (p.amountSOL || 0), 0);
+// Where a verified task payment stands: 'settled' once it reached the
+// provider (paid directly, or released from escrow or credits), 'held' until
+// its task settles, null if refunded or not a task payment
+function settlement(p) {
+  if (!p.verified || p.kind === 'deposit' || p.status === 'refunded') return null;
+  return (p.escrowAddress || p.kind === 'credit') && p.status !== 'released' ? 'held' : 'settled';
+}
+
+app.get('/stats', rateLimit('read'), (req, res) => {
+  const all = Array.from(payments.values());
+  const settled = all.filter(p => settlement(p) === 'settled');
+  const held = all.filter(p => settlement(p) === 'held');
+  const totalSOL = settled.reduce((sum, p) => sum + (p.amountSOL || 0), 0);
+  const netSOL = settled.reduce((sum, p) => sum + providerSOL(p), 0);
+  const feesSOL = settled.reduce((sum, p) => sum + (p.amountSOL ? p.feeAmount || 0 : 0), 0);
+  const heldSOL = held.reduce((sum, p) => sum + (p.amountSOL || 0), 0);
   const completedTasks = Array.from(tasks.values()).filter(t => t.status === 'completed');
 
   res.json({
@@ -417,8 +2416,12 @@ app.get('/stats', (req, res) => {
     services: services.size,
     payments: {
       total: payments.size,
-      verified: verifiedPayments.length,
-      totalSOLSettled: totalSOL
+      verified: settled.length + held.length,
+      held: held.length,
+      totalSOLSettled: totalSOL,
+      providerSOLSettled: netSOL,
+      platformFeesSOL: feesSOL,
+      totalSOLHeld: heldSOL
     },
     tasks: {
       total: tasks.size,
@@ -428,16 +2431,76 @@ app.get('/stats', (req, res) => {
   });
 });
 
+// Platform fees. `feesCollected` reached TREASURY_WALLET (paid directly, or
+// sent on by an escrow release); `feesHeld` wait in escrow for their task to
+// settle. Fees on released credit-paid tasks are never transferred: they stay
+// in the escrow wallet and are reported as `feesInEscrow`.
+app.get('/treasury', rateLimit('read'), (req, res) => {
+  const fees = { collected: { SOL: 0, USDC: 0 }, held: { SOL: 0, USDC: 0 }, inEscrow: { SOL: 0, USDC: 0 } };
+  let count = 0;
+
+  for (const p of payments.values()) {
+    const state = settlement(p);
+    if (!state || !p.feeAmount) continue;
+    if (state === 'held') {
+      fees.held[p.token] += p.feeAmount;
+    } else if (p.kind === 'credit') {
+      fees.inEscrow[p.token] += p.feeAmount;
+    } else {
+      fees.collected[p.token] += p.feeAmount;
+      count++;
+    }
+  }
+
+  res.json({
+    wallet: TREASURY_WALLET,
+    defaultFeeBps: PLATFORM_FEE_BPS,
+    feesCollected: fees.collected,
+    feesHeld: fees.held,
+    feesInEscrow: fees.inEscrow,
+    escrowWallet: escrow ? escrow.address : null,
+    payments: count
+  });
+});
+
 // List all payments
-app.get('/payments', (req, res) => {
-  const list = Array.from(payments.values());
-  res.json({ payments: list, count: list.length });
+app.get('/payments', rateLimit('read'), (req, res) => {
+  const { q, agentId, status, token } = req.query;
+  const maxPriceSOL = maxPriceFilter(req);
+  if (Number.isNaN(maxPriceSOL)) return res.status(400).json({ error: 'maxPriceSOL must be a non-negative number' });
+
+  const list = Array.from(payments.values()).filter(p =>
+    matchesText(q, p.id, p.serviceId, p.txSignature, services.get(p.serviceId)?.name) &&
+    (!agentId || p.from === agentId || p.to === agentId) &&
+    (!status || p.status === status) &&
+    (!token || p.token === token) &&
+    (maxPriceSOL === undefined || (p.amountSOL && p.amountSOL <= maxPriceSOL))
+  );
+
+  sendList(req, res, 'payments', list, {
+    sortValues: {
+      created: p => p.created,
+      price: p => p.quote?.amount ?? null
+    }
+  });
 });
 
 // List all tasks
-app.get('/tasks', (req, res) => {
-  const list = Array.from(tasks.values());
-  res.json({ tasks: list, count: list.length });
+app.get('/tasks', rateLimit('read'), (req, res) => {
+  const { q, agentId, status } = req.query;
+  const list = Array.from(tasks.values()).filter(t =>
+    matchesText(q, t.id, t.serviceId, t.serviceName) &&
+    (!agentId || t.fromAgent === agentId || t.toAgent === agentId) &&
+    (!status || t.status === status)
+  );
+
+  sendList(req, res, 'tasks', list, {
+    sortValues: {
+      created: t => t.created,
+      price: t => payments.get(t.paymentId)?.quote?.amount ?? null
+    },
+    view: publicTask
+  });
 });
 
 // --- Demo recording (cast file) ---
@@ -0,0 +1,56 @@
+/**
+ * Solana Pay transfer requests
+ *
+ * Builds `solana:` transfer request URLs per the Solana Pay spec and finds
+ * the transactions that carry a payment's unique reference key, so the
+ * gateway can locate a payment on-chain without being handed a signature.
+ */
+
+import { Keypair, PublicKey } from '@solana/web3.js';
+
+// A fresh public key that identifies exactly one payment on-chain
+export function generateReference() {
+  return Keypair.generate().publicKey.toBase58();
+}
+
+// Decimal string without exponent or trailing zeros, as the spec requires
+export function formatAmount(amount, decimals) {
+  const fixed = Number(amount).toFixed(decimals);
+  return fixed.includes('.') ? fixed.replace(/\.?0+$/, '') : fixed;
+}
+
+/**
+ * Encode a Solana Pay transfer request URL.
+ *
+ * @param {{ recipient: string, amount?: number, splToken?: string, decimals?: number,
+ *           reference?: string, label?: string, message?: string, memo?: string }} req
+ * @returns {string} `solana:<recipient>?amount=...&spl-token=...&reference=...`
+ */
+export function encodeTransferRequest({ recipient, amount, splToken, decimals, reference, label, message, memo }) {
+  const params = [];
+  if (amount !== undefined && amount !== null) {
+    params.push(['amount', formatAmount(amount, decimals ?? (splToken ? 6 : 9))]);
+  }
+  if (splToken) params.push(['spl-token', splToken]);
+  if (reference) params.push(['reference', reference]);
+  if (label) params.push(['label', label]);
+  if (message) params.push(['message', message]);
+  if (memo) params.push(['memo', memo]);
+
+  const query = params.map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&');
+  return `solana:${recipient}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Successful transactions that include `reference` in their account keys,
+ * oldest first.
+ *
+ * @param {Connection} connection - Solana RPC connection (or a mock with getSignaturesForAddress)
+ * @param {string} reference - Base58 reference public key
+ * @param {{ limit?: number }} opts
+ * @returns {Promise<string[]>} transaction signatures
+ */
+export async function findReferenceSignatures(connection, reference, { limit = 20 } = {}) {
+  const found = await connection.getSignaturesForAddress(new PublicKey(reference), { limit }, 'confirmed');
+  return found.filter(s => !s.err).reverse().map(s => s.signature);
+}
@@ -0,0 +1,135 @@
+/**
+ * Gateway storage
+ *
+ * Every piece of gateway state lives in a named collection with a small
+ * Map-like interface (get, set, has, delete, keys, values, entries, size).
+ * Records are plain JSON objects; callers mutate a record and then `set` it
+ * again to persist the change. `subscribe(fn)` calls `fn(id, value)` after
+ * every `set`, so consumers can react to changes once they are complete.
+ *
+ * Drivers:
+ *   memory - plain Maps, state is lost on restart (default)
+ *   file   - append-only JSON-lines log replayed on startup and compacted
+ *            into a snapshot, so state survives restarts and deploys. The
+ *            log is compacted again once the writes appended since the last
+ *            snapshot outgrow both the snapshot and `compactAfterBytes`,
+ *            which keeps it within about twice the live state.
+ *
+ * Select with STORAGE=memory|file and STORAGE_PATH=<log file>.
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+
+export const COLLECTIONS = [
+  'agents', 'apiKeys', 'services', 'payments', 'tasks', 'signatures', 'idempotency',
+  'balances', 'ledger', 'withdrawals', 'webhooks', 'deliveries', 'a2aTasks', 'ratings',
+  'quotes'
+];
+
+// A collection backed by a Map. `onChange(op, id, value)` is called after
+// every write so drivers can persist it.
+function collection(onChange = () => {}) {
+  const map = new Map();
+  const listeners = new Set();
+  return {
+    get: (id) => map.get(id),
+    has: (id) => map.has(id),
+    set(id, value) {
+      map.set(id, value);
+      onChange('set', id, value);
+      for (const fn of listeners) fn(id, value);
+      return value;
+    },
+    delete(id) {
+      const existed = map.delete(id);
+      if (existed) onChange('delete', id);
+      return existed;
+    },
+    keys: () => map.keys(),
+    values: () => map.values(),
+    entries: () => map.entries(),
+    get size() { return map.size; },
+    // Returns a function that removes the listener
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    // Load a record without reporting it as a change (used during replay)
+    load: (id, value) => map.set(id, value),
+    unload: (id) => map.delete(id)
+  };
+}
+
+export function createMemoryStore() {
+  const store = { driver: 'memory' };
+  for (const name of COLLECTIONS) store[name] = collection();
+  return store;
+}
+
+export const COMPACT_AFTER_BYTES = 1024 * 1024;
+
+export function createFileStore(path, { compactAfterBytes = COMPACT_AFTER_BYTES } = {}) {
+  mkdirSync(dirname(path), { recursive: true });
+
+  const store = { driver: 'file', path };
+  let snapshotBytes = 0;
+  let appendedBytes = 0;
+
+  // Rewrite the log as one `set` per live record
+  function compact() {
+    const snapshot = [];
+    for (const name of COLLECTIONS) {
+      for (const [id, v] of store[name].entries()) {
+        snapshot.push(JSON.stringify({ c: name, op: 'set', id, v }) + '\n');
+      }
+    }
+    const data = snapshot.join('');
+    const tmp = `${path}.tmp`;
+    writeFileSync(tmp, data);
+    renameSync(tmp, path);
+    snapshotBytes = Buffer.byteLength(data);
+    appendedBytes = 0;
+  }
+
+  for (const name of COLLECTIONS) {
+    store[name] = collection((op, id, value) => {
+      const entry = op === 'set' ? { c: name, op, id, v: value } : { c: name, op, id };
+      const line = JSON.stringify(entry) + '\n';
+      appendFileSync(path, line);
+      appendedBytes += Buffer.byteLength(line);
+      if (appendedBytes > Math.max(snapshotBytes, compactAfterBytes)) compact();
+    });
+  }
+
+  // Replay the log. A torn final line from a crash mid-write is skipped.
+  if (existsSync(path)) {
+    for (const line of readFileSync(path, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      const target = store[entry.c];
+      if (!target) continue;
+      if (entry.op === 'set') target.load(entry.id, entry.v);
+      else target.unload(entry.id);
+    }
+  }
+
+  compact();
+  return store;
+}
+
+/**
+ * Create the store selected by configuration.
+ *
+ * @param {{ driver?: string, path?: string, compactAfterBytes?: number }} opts
+ */
+export function createStore({ driver = 'memory', path = './data/gateway.jsonl', compactAfterBytes } = {}) {
+  if (driver === 'memory') return createMemoryStore();
+  if (driver === 'file') return createFileStore(path, { compactAfterBytes });
+  throw new Error(`Unknown STORAGE driver "${driver}" (expected memory or file)`);
+}
@@ -3,10 +3,43 @@
  * Tests all API endpoints and the payment verification flow.
  */
 
+import { Keypair, PublicKey, LAMPORTS_PER_SOL, SystemInstruction } from '@solana/web3.js';
+import { getAssociatedTokenAddressSync } from '@solana/spl-token';
+import bs58 from 'bs58';
+import { createHmac, createPrivateKey, randomBytes, randomUUID, sign } from 'crypto';
+import { spawn } from 'child_process';
+import { appendFileSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { verifyTransfer, MEMO_PROGRAM_IDS } from './verify.mjs';
+import { createServer } from 'http';
+import { createStore } from './storage.mjs';
+import { dispatchTask, isValidEndpoint, parseAddressList } from './dispatch.mjs';
+import { encodeTransferRequest, findReferenceSignatures } from './solanapay.mjs';
+import { createPaymentChecker } from './payments.mjs';
+import { createPaymentWatcher } from './watcher.mjs';
+import { createEscrow, loadKeypair } from './escrow.mjs';
+import { splitAmount } from './fees.mjs';
+import { createLedger, createWithdrawals } from './credits.mjs';
+import { paywallMemo, requirePayment } from './paywall.mjs';
+import { createWebhookDispatcher } from './webhooks.mjs';
+import { createEventFeed } from './events.mjs';
+import { toA2ATask, readMessage } from './a2a.mjs';
+import { checkSchema, validate } from './schema.mjs';
+import { aggregate, ratingError } from './reputation.mjs';
+import { pricingError, priceFor, hashInput, quoteMessage } from './pricing.mjs';
+import { createStaticOracle, createFileOracle, usdToToken } from './oracle.mjs';
+import { parseRateLimits, createRateLimiter, utcDayStart } from './limits.mjs';
+import { generateApiKey, hashApiKey, verifyWalletSignature } from './auth.mjs';
+import express from 'express';
+import { canTransition, transitionPayment, expireIfStale, isFinal } from './lifecycle.mjs';
+
 const BASE = process.env.BASE_URL || 'http://localhost:4100';
 let passed = 0;
 let failed = 0;
-let agentA, agentB, serviceId, paymentId, taskId;
+let agentA, agentB, keyA, keyB, serviceId, paymentId, taskId;
+const walletA = Keypair.generate();
+const walletB = Keypair.generate();
 
 async function test(name, fn) {
   try {
@@ -19,17 +52,67 @@ async function test(name, fn) {
   }
 }
 
+// DER prefix that wraps a raw 32-byte ed25519 seed as PKCS#8
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+// Sign a UTF-8 message with a Solana keypair, base58-encoded like a wallet's signMessage
+function signMessage(keypair, message) {
+  const key = createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, keypair.secretKey.slice(0, 32)]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  return bs58.encode(sign(null, Buffer.from(message, 'utf8'), key));
+}
+
+// Answer a wallet challenge for `keypair`
+async function walletProof(keypair) {
+  const wallet = keypair.publicKey.toBase58();
+  const { data } = await api(`/agents/challenge?wallet=${wallet}`);
+  return { wallet, nonce: data.nonce, signature: signMessage(keypair, data.message) };
+}
+
+// Register an agent, proving ownership of `keypair`'s wallet
+async function register(body, keypair = Keypair.generate()) {
+  return api('/agents/register', {
+    method: 'POST',
+    body: JSON.stringify({ ...body, ...(await walletProof(keypair)) })
+  });
+}
+
+function as(apiKey) {
+  return { Authorization: `Bearer ${apiKey}` };
+}
+
 function assert(condition, msg) {
   if (!condition) throw new Error(msg || 'Assertion failed');
 }
 
-async function api(path, opts = {}) {
-  const res = await fetch(`${BASE}${path}`, {
-    headers: { 'Content-Type': 'application/json', ...opts.headers },
-    ...opts
+async function api(path, opts = {}, base = BASE) {
+  const res = await fetch(`${base}${path}`, {
+    ...opts,
+    headers: { 'Content-Type': 'application/json', ...opts.headers }
   });
   const data = await res.json();
-  return { status: res.status, data };
+  return { status: res.status, data, headers: res.headers };
+}
+
+// Minimal stand-in for a Solana Connection that serves canned transactions
+function mockConnection(txs) {
+  return { getTransaction: async (sig) => txs[sig] || null };
+}
+
+function mockTx(accountKeys, meta, memo) {
+  const keys = memo ? [...accountKeys, MEMO_PROGRAM_IDS[0]] : accountKeys;
+  const instructions = memo
+    ? [{ programIdIndex: keys.length - 1, accounts: [], data: bs58.encode(Buffer.from(memo)) }]
+    : [];
+  return {
+    slot: 1234,
+    blockTime: 1700000000,
+    transaction: { message: { accountKeys: keys.map(k => new PublicKey(k)), instructions } },
+    meta: { err: null, preBalances: [], postBalances: [], preTokenBalances: [], postTokenBalances: [], ...meta }
+  };
 }
 
 async function run() {
@@ -41,6 +124,7 @@ async function run() {
     const { data } = await api('/health');
     assert(data.status === 'ok', `Expected ok, got ${data.status}`);
     assert(data.network === 'devnet', `Expected devnet, got ${data.network}`);
+    assert(typeof data.watcher.running === 'boolean', 'Missing watcher status');
   });
 
   // --- Agent Card ---
@@ -48,34 +132,30 @@ async function run() {
     const { data } = await api('/.well-known/agent.json');
     assert(data.name === 'Solana Agent Payment Gateway');
     assert(data.skills.length >= 4);
+    assert(data.capabilities.streaming === true);
   });
 
   // --- Agent Registration ---
   await test('POST /agents/register - register agent A (service provider)', async () => {
-    const { status, data } = await api('/agents/register', {
-      method: 'POST',
-      body: JSON.stringify({
-        name: 'Screenshot Agent',
-        wallet: 'E4h1FDHx647Ra33WSsvNwUVXDAm99Ne64xWK2FvbWnsP',
-        skills: ['screenshot', 'pdf-generation']
-      })
-    });
+    const { status, data } = await register({
+      name: 'Screenshot Agent',
+      skills: ['screenshot', 'pdf-generation']
+    }, walletA);
     assert(status === 201, `Expected 201, got ${status}`);
     assert(data.agentId, 'Missing agentId');
+    assert(data.apiKey && data.apiKey !== data.agentId, 'Expected a secret API key');
     agentA = data.agentId;
+    keyA = data.apiKey;
   });
 
   await test('POST /agents/register - register agent B (consumer)', async () => {
-    const { status, data } = await api('/agents/register', {
-      method: 'POST',
-      body: JSON.stringify({
-        name: 'Research Agent',
-        wallet: '11111111111111111111111111111111',
-        skills: ['research', 'analysis']
-      })
-    });
+    const { status, data } = await register({
+      name: 'Research Agent',
+      skills: ['research', 'analysis']
+    }, walletB);
     assert(status === 201);
     agentB = data.agentId;
+    keyB = data.apiKey;
   });
 
   await test('POST /agents/register - rejects invalid wallet', async () => {
@@ -86,15 +166,52 @@ async function run() {
     assert(status === 400, `Expected 400, got ${status}`);
   });
 
+  await test('POST /agents/register - rejects a non-http endpoint', async () => {
+    const { status } = await register({ name: 'Bad Endpoint', endpoint: 'ftp://x' });
+    assert(status === 400, `Expected 400, got ${status}`);
+  });
+
+  await test('POST /agents/register - requires a wallet signature', async () => {
+    const { status } = await api('/agents/register', {
+      method: 'POST',
+      body: JSON.stringify({ name: 'Unproven Agent', wallet: '11111111111111111111111111111111' })
+    });
+    assert(status === 400, `Expected 400, got ${status}`);
+  });
+
+  await test('POST /agents/register - rejects a signature by a different keypair', async () => {
+    const claimed = walletA.publicKey.toBase58();
+    const { data: challenge } = await api(`/agents/challenge?wallet=${claimed}`);
+    const { status } = await api('/agents/register', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: 'Wallet Thief',
+        wallet: claimed,
+        nonce: challenge.nonce,
+        signature: signMessage(Keypair.generate(), challenge.message)
+      })
+    });
+    assert(status === 401, `Expected 401, got ${status}`);
+  });
+
+  await test('POST /agents/register - challenge nonces are single-use', async () => {
+    const proof = await walletProof(walletA);
+    const first = await api('/agents/register', { method: 'POST', body: JSON.stringify({ name: 'Once', ...proof }) });
+    const replay = await api('/agents/register', { method: 'POST', body: JSON.stringify({ name: 'Twice', ...proof }) });
+    assert(first.status === 201 && replay.status === 400, `Expected 201/400, got ${first.status}/${replay.status}`);
+  });
+
   await test('GET /agents - lists registered agents', async () => {
     const { data } = await api('/agents');
     assert(data.count >= 2, `Expected at least 2 agents, got ${data.count}`);
+    assert(data.agents.find(a => a.id === agentA).walletVerified === true, 'Expected walletVerified');
   });
 
   // --- Service Creation ---
   await test('POST /services - create a service with SOL price', async () => {
     const { status, data } = await api('/services', {
       method: 'POST',
+      headers: as(keyA),
       body: JSON.stringify({
         agentId: agentA,
         name: 'Website Screenshot',
@@ -110,6 +227,7 @@ async function run() {
   await test('POST /services - rejects missing price', async () => {
     const { status } = await api('/services', {
       method: 'POST',
+      headers: as(keyA),
       body: JSON.stringify({ agentId: agentA, name: 'No Price Service' })
     });
     assert(status === 400);
@@ -124,13 +242,43 @@ async function run() {
   await test('GET /services/:id - get specific service', async () => {
     const { data } = await api(`/services/${serviceId}`);
     assert(data.name === 'Website Screenshot');
-    assert(data.payTo === 'E4h1FDHx647Ra33WSsvNwUVXDAm99Ne64xWK2FvbWnsP');
+    assert(data.payTo === walletA.publicKey.toBase58());
+    assert(data.walletVerified === true);
+  });
+
+  await test('POST /services - rejects malformed input modes', async () => {
+    const { status } = await api('/services', {
+      method: 'POST',
+      headers: as(keyA),
+      body: JSON.stringify({ name: 'Bad Modes', priceSOL: 0.001, inputModes: 'json' })
+    });
+    assert(status === 400, `Expected 400, got ${status}`);
+  });
+
+  await test('GET /.well-known/agent.json - lists services as priced skills', async () => {
+    const { data } = await api('/.well-known/agent.json');
+    const skill = data.skills.find(s => s.id === serviceId);
+    assert(skill, 'Service missing from agent card');
+    assert(skill.name === 'Website Screenshot' && skill.pricing.priceSOL === 0.001);
+    assert(skill.inputModes.includes('application/json') && skill.tags.includes('screenshot'));
+    assert(data.url.endsWith('/a2a'));
+  });
+
+  await test('GET /agents/:id/agent.json - provider card lists only its services', async () => {
+    const { data } = await api(`/agents/${agentA}/agent.json`);
+    assert(data.name === 'Screenshot Agent');
+    assert(data.skills.length >= 1 && data.skills.every(s => s.provider.agentId === agentA));
+    const { data: consumer } = await api(`/agents/${agentB}/agent.json`);
+    assert(consumer.skills.length === 0);
+    const { status } = await api('/agents/nope/agent.json');
+    assert(status === 404);
   });
 
   // --- Payment Flow ---
   await test('POST /payments/initiate - get payment instructions', async () => {
     const { status, data } = await api('/payments/initiate', {
       method: 'POST',
+      headers: as(keyB),
       body: JSON.stringify({ serviceId, fromAgentId: agentB })
     });
     assert(status === 201);
@@ -138,30 +286,115 @@ async function run() {
     assert(data.instructions.payTo);
     assert(data.instructions.amountSOL === 0.001);
     assert(data.instructions.network === 'devnet');
+    assert(data.instructions.url.startsWith(`solana:${data.instructions.payTo}?amount=0.001`), data.instructions.url);
+    assert(data.instructions.url.includes(`reference=${data.instructions.reference}`));
+    assert(data.instructions.url.includes(`memo=payment%3A${data.paymentId}`));
+    assert(data.instructions.transfers.length === 1 && data.instructions.transfers[0].role === 'provider');
     paymentId = data.paymentId;
   });
 
+  await test('POST /payments/initiate - USDC-priced service returns token instructions', async () => {
+    const { data: svc } = await api('/services', {
+      method: 'POST',
+      headers: as(keyA),
+      body: JSON.stringify({ agentId: agentA, name: 'PDF Export', priceUSDC: 0.25 })
+    });
+    const { status, data } = await api('/payments/initiate', {
+      method: 'POST',
+      headers: as(keyB),
+      body: JSON.stringify({ serviceId: svc.serviceId, fromAgentId: agentB })
+    });
+    assert(status === 201, `Expected 201, got ${status}`);
+    assert(data.instructions.token === 'USDC');
+    assert(data.instructions.amountUSDC === 0.25);
+    assert(data.instructions.mint, 'Missing mint');
+    assert(data.instructions.url.includes(`spl-token=${data.instructions.mint}`));
+  });
+
+  await test('POST /payments/initiate - Idempotency-Key replays the original payment', async () => {
+    const opts = {
+      method: 'POST',
+      headers: { ...as(keyB), 'Idempotency-Key': `retry-${Date.now()}` },
+      body: JSON.stringify({ serviceId, fromAgentId: agentB })
+    };
+    const first = await api('/payments/initiate', opts);
+    const retry = await api('/payments/initiate', opts);
+    assert(first.status === 201 && retry.status === 201, `Expected 201s, got ${first.status}/${retry.status}`);
+    assert(first.data.paymentId === retry.data.paymentId, 'Retry created a second payment');
+  });
+
+  await test('POST /payments/initiate - Idempotency-Key reused with a different body is rejected', async () => {
+    const key = `reuse-${Date.now()}`;
+    await api('/payments/initiate', {
+      method: 'POST',
+      headers: { ...as(keyB), 'Idempotency-Key': key },
+      body: JSON.stringify({ serviceId, fromAgentId: agentB })
+    });
+    const { status } = await api('/payments/initiate', {
+      method: 'POST',
+      headers: { ...as(keyB), 'Idempotency-Key': key },
+      body: JSON.stringify({ serviceId, fromAgentId: agentB, token: 'SOL' })
+    });
+    assert(status === 422, `Expected 422, got ${status}`);
+  });
+
   await test('GET /payments/:id - check pending payment', async () => {
     const { data } = await api(`/payments/${paymentId}`);
     assert(data.status === 'pending');
     assert(data.verified === false);
+    assert(data.quote.amount === 0.001 && data.quote.token === 'SOL', 'Expected a locked quote');
+    assert(Date.parse(data.expiresAt) > Date.now(), 'Expected a future expiresAt');
+    assert(data.history.length === 1 && data.history[0].to === 'pending');
   });
 
   await test('POST /payments/:id/verify - verify with fake signature (not found)', async () => {
     const { data } = await api(`/payments/${paymentId}/verify`, {
       method: 'POST',
+      headers: as(keyB),
       body: JSON.stringify({
         txSignature: '5FakeSignature111111111111111111111111111111111111111111111111111111111111111111111111111'
       })
     });
     // Should be 'not_found' or 'error' since it's a fake sig
     assert(['not_found', 'error'].includes(data.status), `Expected not_found/error, got ${data.status}`);
+
+    const { data: payment } = await api(`/payments/${paymentId}`);
+    const last = payment.history[payment.history.length - 1];
+    assert(last.from === 'pending' && last.to === data.status && last.at, 'Transition not recorded');
+  });
+
+  await test('POST /payments/:id/verify - rejects a signature already submitted for another payment', async () => {
+    const { data: other } = await api('/payments/initiate', {
+      method: 'POST',
+      headers: as(keyB),
+      body: JSON.stringify({ serviceId, fromAgentId: agentB })
+    });
+    const { data } = await api(`/payments/${other.paymentId}/verify`, {
+      method: 'POST',
+      headers: as(keyB),
+      body: JSON.stringify({
+        txSignature: '5FakeSignature111111111111111111111111111111111111111111111111111111111111111111111111111'
+      })
+    });
+    assert(data.status === 'signature_already_used', `Expected signature_already_used, got ${data.status}`);
+  });
+
+  await test('POST /payments/:id/verify - empty body looks the payment up by reference', async () => {
+    const { data: fresh } = await api('/payments/initiate', {
+      method: 'POST',
+      headers: as(keyB),
+      body: JSON.stringify({ serviceId })
+    });
+    const { status, data } = await api(`/payments/${fresh.paymentId}/verify`, { method: 'POST', headers: as(keyB) });
+    assert(status !== 400, 'Empty body should be accepted');
+    assert(['not_found', 'error'].includes(data.status), `Expected not_found/error, got ${data.status}`);
   });
 
   // --- Task Execution (without verified payment) ---
   await test('POST /tasks/execute - rejects without verified payment', async () => {
     const { status, data } = await api('/tasks/execute', {
       method: 'POST',
+      headers: as(keyB),
       body: JSON.stringify({ paymentId, input: { url: 'https://example.com' } })
     });
     assert(status === 402, `Expected 402, got ${status}`);
@@ -174,6 +407,7 @@ async function run() {
     // Create a fresh payment and manually mark as verified for testing
     const { data: initData } = await api('/payments/initiate', {
       method: 'POST',
+      headers: as(keyB),
       body: JSON.stringify({ serviceId, fromAgentId: agentB })
     });
     const testPaymentId = initData.paymentId;
@@ -182,20 +416,645 @@ async function run() {
     // so we test that the 402 flow works correctly
     const { status } = await api('/tasks/execute', {
       method: 'POST',
+      headers: as(keyB),
       body: JSON.stringify({ paymentId: testPaymentId, input: { url: 'https://example.com' } })
     });
     assert(status === 402, 'Should require verified payment');
   });
 
+  await test('POST /tasks/:id/result - unknown task returns 404', async () => {
+    const { status } = await api('/tasks/does-not-exist/result', {
+      method: 'POST',
+      body: JSON.stringify({ status: 'completed', output: {} })
+    });
+    assert(status === 404, `Expected 404, got ${status}`);
+  });
+
+  // --- Authentication ---
+  await test('POST /services - requires an API key', async () => {
+    const { status } = await api('/services', {
+      method: 'POST',
+      body: JSON.stringify({ agentId: agentA, name: 'Unauthenticated', priceSOL: 0.001 })
+    });
+    assert(status === 401, `Expected 401, got ${status}`);
+  });
+
+  await test('POST /services - cannot create a service for another agent', async () => {
+    const { status } = await api('/services', {
+      method: 'POST',
+      headers: as(keyB),
+      body: JSON.stringify({ agentId: agentA, name: 'Hijack', priceSOL: 0.001 })
+    });
+    assert(status === 403, `Expected 403, got ${status}`);
+  });
+
+  await test('POST /payments/initiate - cannot pay as another agent', async () => {
+    const { status } = await api('/payments/initiate', {
+      method: 'POST',
+      headers: as(keyA),
+      body: JSON.stringify({ serviceId, fromAgentId: agentB })
+    });
+    assert(status === 403, `Expected 403, got ${status}`);
+  });
+
+  await test('POST /payments/:id/verify - only the paying agent can verify', async () => {
+    const { status } = await api(`/payments/${paymentId}/verify`, {
+      method: 'POST',
+      headers: as(keyA),
+      body: JSON.stringify({ txSignature: '5Other' })
+    });
+    assert(status === 403, `Expected 403, got ${status}`);
+  });
+
+  await test('POST /tasks/execute - only the paying agent can execute', async () => {
+    const { status } = await api('/tasks/execute', {
+      method: 'POST',
+      headers: as(keyA),
+      body: JSON.stringify({ paymentId })
+    });
+    assert(status === 403, `Expected 403, got ${status}`);
+  });
+
+  await test('POST /agents/:id/keys/rotate - old key stops working', async () => {
+    const { data: reg } = await register({ name: 'Rotating Agent' });
+    const { status, data } = await api(`/agents/${reg.agentId}/keys/rotate`, { method: 'POST', headers: as(reg.apiKey) });
+    assert(status === 201, `Expected 201, got ${status}`);
+    assert(data.revoked.includes(reg.keyId));
+
+    const stale = await api(`/agents/${reg.agentId}/keys`, { headers: as(reg.apiKey) });
+    assert(stale.status === 401, `Expected 401 for rotated key, got ${stale.status}`);
+    const fresh = await api(`/agents/${reg.agentId}/keys`, { headers: as(data.apiKey) });
+    assert(fresh.status === 200 && fresh.data.count === 2);
+  });
+
+  await test('DELETE /agents/:id/keys/:keyId - refuses to revoke the last active key', async () => {
+    const { data: keys } = await api(`/agents/${agentA}/keys`, { headers: as(keyA) });
+    const { status } = await api(`/agents/${agentA}/keys/${keys.keys[0].id}`, { method: 'DELETE', headers: as(keyA) });
+    assert(status === 409, `Expected 409, got ${status}`);
+  });
+
+  await test('PUT /agents/:id/wallet - moves services to a proven new wallet', async () => {
+    const next = Keypair.generate();
+    const { data: reg } = await register({ name: 'Moving Agent' });
+    const { data: svc } = await api('/services', {
+      method: 'POST',
+      headers: as(reg.apiKey),
+      body: JSON.stringify({ name: 'Moving Service', priceSOL: 0.002 })
+    });
+
+    const unsigned = await api(`/agents/${reg.agentId}/wallet`, {
+      method: 'PUT',
+      headers: as(reg.apiKey),
+      body: JSON.stringify({ wallet: next.publicKey.toBase58() })
+    });
+    assert(unsigned.status === 400, `Expected 400 without proof, got ${unsigned.status}`);
+
+    const { status } = await api(`/agents/${reg.agentId}/wallet`, {
+      method: 'PUT',
+      headers: as(reg.apiKey),
+      body: JSON.stringify(await walletProof(next))
+    });
+    assert(status === 200, `Expected 200, got ${status}`);
+    const { data: moved } = await api(`/services/${svc.serviceId}`);
+    assert(moved.payTo === next.publicKey.toBase58());
+  });
+
+  await test('PUT /services/:id/fee - requires the admin API key', async () => {
+    const { status } = await api(`/services/${serviceId}/fee`, {
+      method: 'PUT',
+      headers: as(keyA),
+      body: JSON.stringify({ feeBps: 0 })
+    });
+    assert(status === 401, `Expected 401, got ${status}`);
+  });
+
+  // --- Credits ---
+  await test('GET /agents/:id/balance - starts empty and is private', async () => {
+    const { status, data } = await api(`/agents/${agentB}/balance`, { headers: as(keyB) });
+    assert(status === 200, `Expected 200, got ${status}`);
+    assert(data.balances.SOL === 0 && data.balances.USDC === 0);
+    assert(Array.isArray(data.ledger));
+
+    const { status: other } = await api(`/agents/${agentB}/balance`, { headers: as(keyA) });
+    assert(other === 403, `Expected 403, got ${other}`);
+  });
+
+  await test('POST /tasks/execute - useCredits requires a serviceId or escrow wallet', async () => {
+    const { status, data } = await api('/tasks/execute', {
+      method: 'POST',
+      headers: as(keyB),
+      body: JSON.stringify({ serviceId, useCredits: true })
+    });
+    const health = await api('/health');
+    if (health.data.escrow) {
+      assert(status === 402 && data.error === 'Insufficient credits', `Expected 402, got ${status}`);
+    } else {
+      assert(status === 503, `Expected 503 without escrow, got ${status}`);
+    }
+  });
+
+  await test('POST /credits/deposit - validates the amount', async () => {
+    const { status } = await api('/credits/deposit', {
+      method: 'POST',
+      headers: as(keyB),
+      body: JSON.stringify({ token: 'SOL', amount: -1 })
+    });
+    const health = await api('/health');
+    assert(status === (health.data.escrow ? 400 : 503), `Unexpected status ${status}`);
+  });
+
+  // --- Live events ---
+  await test('GET /payments/:id/events - streams the current status first', async () => {
+    const controller = new AbortController();
+    const res = await fetch(`${BASE}/payments/${paymentId}/events`, { signal: controller.signal });
+    assert(res.status === 200 && res.headers.get('content-type').startsWith('text/event-stream'));
+    const reader = res.body.getReader();
+    let text = '';
+    while (!text.includes('\n\n')) text += new TextDecoder().decode((await reader.read()).value);
+    controller.abort();
+    assert(text.startsWith('event: payment.status\n'), text);
+    const event = JSON.parse(text.split('data: ')[1]);
+    assert(event.paymentId === paymentId && event.data.id === paymentId);
+  });
+
+  await test('GET /events - requires an API key', async () => {
+    const res = await fetch(`${BASE}/events?agentId=${agentB}`);
+    assert(res.status === 401, `Expected 401, got ${res.status}`);
+  });
+
+  await test('GET /tasks/:id/events - unknown task returns 404', async () => {
+    const { status } = await api('/tasks/nope/events');
+    assert(status === 404);
+  });
+
+  // --- A2A JSON-RPC ---
+  const a2aCall = (apiKey, method, params, id = 1) => api('/a2a', {
+    method: 'POST',
+    headers: as(apiKey),
+    body: JSON.stringify({ jsonrpc: '2.0', id, method, params })
+  });
+  let a2aServiceId;
+
+  await test('POST /a2a - rejects malformed requests and unknown methods', async () => {
+    const { data: bad } = await api('/a2a', { method: 'POST', headers: as(keyB), body: JSON.stringify({ id: 1 }) });
+    assert(bad.error.code === -32600, `Expected -32600, got ${JSON.stringify(bad)}`);
+    const { data: unknown } = await a2aCall(keyB, 'tasks/resubscribe', {});
+    assert(unknown.error.code === -32601);
+  });
+
+  await test('POST /a2a - tasks/send answers input-required with payment instructions', async () => {
+    const { data: svc } = await api('/services', {
+      method: 'POST',
+      headers: as(keyA),
+      body: JSON.stringify({ name: 'A2A Summaries', priceSOL: 0.002, endpoint: 'http://127.0.0.1:1/summarize' })
+    });
+    a2aServiceId = svc.serviceId;
+
+    const { data } = await a2aCall(keyB, 'tasks/send', {
+      id: 'a2a-task-1',
+      message: { role: 'user', parts: [{ type: 'text', text: 'Summarize this' }, { type: 'data', data: { url: 'https://example.com' } }] },
+      metadata: { serviceId: a2aServiceId }
+    });
+    const task = data.result;
+    assert(task && task.id === 'a2a-task-1' && task.sessionId, JSON.stringify(data));
+    assert(task.status.state === 'input-required');
+    assert(task.metadata['payment.status'] === 'payment-required' && task.metadata.paymentId);
+    const { paymentRequired } = task.status.message.parts.find(p => p.type === 'data').data;
+    assert(paymentRequired.instructions.amountSOL === 0.002 && paymentRequired.instructions.memo === `payment:${task.metadata.paymentId}`);
+  });
+
+  await test('POST /a2a - tasks/get is limited to the sending agent', async () => {
+    const { data } = await a2aCall(keyB, 'tasks/get', { id: 'a2a-task-1', historyLength: 1 });
+    assert(data.result.status.state === 'input-required' && data.result.history.length === 1);
+    const { data: other } = await a2aCall(keyA, 'tasks/get', { id: 'a2a-task-1' });
+    assert(other.error.code === -32001, `Expected -32001, got ${JSON.stringify(other)}`);
+  });
+
+  await test('POST /a2a - tasks/get after a send that failed before opening a payment', async () => {
+    const { data: reg } = await register({ name: 'Creditless A2A Agent' });
+    const { data: sent } = await a2aCall(reg.apiKey, 'tasks/send', {
+      id: 'a2a-task-no-credits',
+      message: { role: 'user', parts: [{ type: 'text', text: 'Summarize this' }] },
+      metadata: { serviceId: a2aServiceId, useCredits: true }
+    });
+    assert(sent.error?.code === -32000, JSON.stringify(sent));
+
+    const { status, data } = await a2aCall(reg.apiKey, 'tasks/get', { id: 'a2a-task-no-credits' });
+    assert(status === 200 && data.result.status.state === 'input-required', JSON.stringify(data));
+    assert(data.result.metadata.paymentId === null);
+  });
+
+  await test('POST /a2a - tasks/cancel cancels an unpaid task', async () => {
+    const { data } = await a2aCall(keyB, 'tasks/cancel', { id: 'a2a-task-1' });
+    assert(data.result.status.state === 'canceled', JSON.stringify(data));
+  });
+
+  // --- Service schemas ---
+  const summarizeInput = {
+    type: 'object',
+    properties: { url: { type: 'string', pattern: '^https?://' }, maxWords: { type: 'integer', minimum: 10 } },
+    required: ['url'],
+    additionalProperties: false
+  };
+  let schemaServiceId;
+
+  await test('POST /services - rejects schemas the gateway cannot enforce', async () => {
+    const { status, data } = await api('/services', {
+      method: 'POST',
+      headers: as(keyA),
+      body: JSON.stringify({ name: 'Ref Schema', priceSOL: 0.001, inputSchema: { $ref: '#/defs/x' } })
+    });
+    assert(status === 400 && data.reason.includes('$ref'), JSON.stringify(data));
+  });
+
+  await test('GET /services/:id and the agent card expose input and output schemas', async () => {
+    const { data: created } = await api('/services', {
+      method: 'POST',
+      headers: as(keyA),
+      body: JSON.stringify({
+        name: 'Schema Summaries',
+        priceSOL: 0.003,
+        endpoint: 'http://127.0.0.1:1/summarize',
+        inputSchema: summarizeInput,
+        outputSchema: { type: 'object', required: ['summary'] }
+      })
+    });
+    schemaServiceId = created.serviceId;
+    const { data } = await api(`/services/${schemaServiceId}`);
+    assert(data.inputSchema.required[0] === 'url' && data.outputSchema.required[0] === 'summary');
+    const { data: card } = await api('/.well-known/agent.json');
+    const skill = card.skills.find(s => s.id === schemaServiceId);
+    assert(skill.inputSchema.properties.url && skill.outputSchema);
+  });
+
+  await test('POST /tasks/execute - invalid input is refused with 422 before paying', async () => {
+    const { status, data } = await api('/tasks/execute', {
+      method: 'POST',
+      headers: as(keyB),
+      body: JSON.stringify({ useCredits: true, serviceId: schemaServiceId, input: { url: 'ftp://x', extra: 1 } })
+    });
+    assert(status === 422, `Expected 422, got ${status}`);
+    assert(data.errors.some(e => e.path === '/url') && data.errors.some(e => e.path === '/extra'));
+    const { data: balance } = await api(`/agents/${agentB}/balance`, { headers: as(keyB) });
+    assert(balance.balances.SOL === 0 && balance.ledger.length === 0);
+  });
+
+  await test('POST /a2a - tasks/send validates input before opening a payment', async () => {
+    const { data } = await a2aCall(keyB, 'tasks/send', {
+      id: 'a2a-task-invalid',
+      message: { role: 'user', parts: [{ type: 'data', data: { maxWords: 5 } }] },
+      metadata: { serviceId: schemaServiceId }
+    });
+    assert(data.error.code === -32602 && data.error.data.errors.length === 2, JSON.stringify(data));
+    const { data: get } = await a2aCall(keyB, 'tasks/get', { id: 'a2a-task-invalid' });
+    assert(get.error.code === -32001);
+  });
+
+  // --- Listing ---
+  await test('GET /services - pages with a cursor in a consistent envelope', async () => {
+    const { data: first } = await api('/services?limit=1&sort=-price');
+    assert(first.count === 1 && first.total >= 2 && first.nextCursor, JSON.stringify(first));
+    const { data: second } = await api(`/services?limit=1&sort=-price&cursor=${first.nextCursor}`);
+    assert(second.services[0].id !== first.services[0].id);
+    assert(second.services[0].priceSOL <= first.services[0].priceSOL);
+    const { status } = await api(`/services?sort=created&cursor=${first.nextCursor}`);
+    assert(status === 400, 'Cursor from another sort should be rejected');
+  });
+
+  await test('GET /services - filters by text, price and provider', async () => {
+    const { data: found } = await api('/services?q=SCREENSHOT');
+    assert(found.services.some(s => s.id === serviceId));
+    const { data: cheap } = await api('/services?maxPriceSOL=0.0005');
+    assert(cheap.services.every(s => s.priceSOL <= 0.0005) && !cheap.services.some(s => s.id === serviceId));
+    const { data: mine } = await api(`/services?agentId=${agentB}`);
+    assert(mine.total === 0);
+    const { status } = await api('/services?sort=stars');
+    assert(status === 400);
+  });
+
+  await test('GET /agents, /payments, /tasks - share the list envelope and filters', async () => {
+    const { data: agentsList } = await api('/agents?skill=screenshot');
+    assert(agentsList.agents.length === 1 && agentsList.agents[0].id === agentA);
+    const { data: paymentsList } = await api(`/payments?agentId=${agentB}&status=expired`);
+    assert(paymentsList.payments.every(p => p.status === 'expired') && 'nextCursor' in paymentsList);
+    const { data: tasksList } = await api('/tasks?limit=1');
+    assert(tasksList.count <= 1 && typeof tasksList.total === 'number' && 'nextCursor' in tasksList);
+  });
+
+  // --- Service management ---
+  const patchService = (apiKey, id, body) => api(`/services/${id}`, { method: 'PATCH', headers: as(apiKey), body: JSON.stringify(body) });
+  let managedId;
+
+  await test('PATCH /services/:id - only the provider can edit, with known fields', async () => {
+    const { data } = await api('/services', {
+      method: 'POST',
+      headers: as(keyA),
+      body: JSON.stringify({ name: 'Managed Service', priceSOL: 0.001, endpoint: 'http://127.0.0.1:1/managed' })
+    });
+    managedId = data.serviceId;
+    const { status: forbidden } = await patchService(keyB, managedId, { priceSOL: 0.0001 });
+    assert(forbidden === 403);
+    const { status: unknown } = await patchService(keyA, managedId, { agentId: agentB });
+    assert(unknown === 400);
+    const { status: noPrice } = await patchService(keyA, managedId, { priceSOL: null });
+    assert(noPrice === 400);
+  });
+
+  await test('PATCH /services/:id - repricing bumps the version, quoted payments keep their price', async () => {
+    const { data: before } = await api('/payments/initiate', { method: 'POST', headers: as(keyB), body: JSON.stringify({ serviceId: managedId }) });
+    const { status, data } = await patchService(keyA, managedId, { priceSOL: 0.004, description: 'Now with more' });
+    assert(status === 200 && data.changed.join() === 'description,priceSOL', JSON.stringify(data));
+    assert(data.service.version === 2);
+
+    const { data: service } = await api(`/services/${managedId}`);
+    assert(service.versions.length === 1 && service.versions[0].priceSOL === 0.001 && service.versions[0].version === 1);
+    const { data: quoted } = await api(`/payments/${before.paymentId}`);
+    assert(quoted.quote.amount === 0.001 && quoted.serviceVersion === 1);
+    const { data: after } = await api('/payments/initiate', { method: 'POST', headers: as(keyB), body: JSON.stringify({ serviceId: managedId }) });
+    assert(after.instructions.amountSOL === 0.004);
+  });
+
+  await test('PATCH /services/:id - paused services refuse new payments until resumed', async () => {
+    await patchService(keyA, managedId, { status: 'paused' });
+    const { status, data } = await api('/payments/initiate', { method: 'POST', headers: as(keyB), body: JSON.stringify({ serviceId: managedId }) });
+    assert(status === 409 && data.status === 'paused');
+    const { data: card } = await api('/.well-known/agent.json');
+    assert(!card.skills.some(s => s.id === managedId));
+
+    await patchService(keyA, managedId, { status: 'active' });
+    const { status: resumed } = await api('/payments/initiate', { method: 'POST', headers: as(keyB), body: JSON.stringify({ serviceId: managedId }) });
+    assert(resumed === 201);
+    const { data: service } = await api(`/services/${managedId}`);
+    assert(service.history.map(h => h.to).join() === 'active,paused,active');
+  });
+
+  await test('DELETE /services/:id - delists and keeps servicesOffered in step', async () => {
+    const count = async () => (await api('/agents?limit=200')).data.agents.find(a => a.id === agentA).servicesOffered;
+    const before = await count();
+    const { status } = await api(`/services/${managedId}`, { method: 'DELETE', headers: as(keyA) });
+    assert(status === 200);
+    assert(await count() === before - 1);
+
+    const { data: listed } = await api('/services?limit=200');
+    assert(!listed.services.some(s => s.id === managedId));
+    const { data: delisted } = await api('/services?status=delisted');
+    assert(delisted.services.some(s => s.id === managedId));
+    const { status: edit } = await patchService(keyA, managedId, { priceSOL: 0.002 });
+    assert(edit === 409);
+  });
+
+  await test('DELETE /agents/:id - deregisters the agent and delists its services', async () => {
+    const { data: reg } = await register({ name: 'Short-lived Agent' });
+    const keyC = reg.apiKey;
+    const { data: svc } = await api('/services', { method: 'POST', headers: as(keyC), body: JSON.stringify({ name: 'Temp', priceSOL: 0.001 }) });
+
+    const { status: forbidden } = await api(`/agents/${reg.agentId}`, { method: 'DELETE', headers: as(keyB) });
+    assert(forbidden === 403);
+    const { status, data } = await api(`/agents/${reg.agentId}`, { method: 'DELETE', headers: as(keyC) });
+    assert(status === 200 && data.servicesDelisted.includes(svc.serviceId), JSON.stringify(data));
+
+    const { data: service } = await api(`/services/${svc.serviceId}`);
+    assert(service.status === 'delisted');
+    const { status: revoked } = await api('/services', { method: 'POST', headers: as(keyC), body: JSON.stringify({ name: 'X', priceSOL: 0.001 }) });
+    assert(revoked === 401);
+    const { data: agentsList } = await api('/agents?limit=200');
+    assert(!agentsList.agents.some(a => a.id === reg.agentId));
+    const { status: card } = await api(`/agents/${reg.agentId}/agent.json`);
+    assert(card === 404);
+  });
+
+  // --- Reputation ---
+  await test('POST /tasks/:id/rating - unknown task returns 404', async () => {
+    const { status } = await api('/tasks/does-not-exist/rating', {
+      method: 'POST',
+      headers: as(keyB),
+      body: JSON.stringify({ rating: 5 })
+    });
+    assert(status === 404);
+  });
+
+  await test('GET /services and /agents - expose reputation and sort by it', async () => {
+    const { data } = await api(`/services/${serviceId}`);
+    assert(data.reputation && data.reputation.ratingCount === 0 && data.reputation.completionRate === null);
+    const { status, data: byRating } = await api('/services?sort=-rating');
+    assert(status === 200 && byRating.services.every(s => 'ratingAverage' in s.reputation));
+    const { data: agentsList } = await api('/agents?sort=latency');
+    assert(agentsList.agents.every(a => a.reputation && 'medianLatencyMs' in a.reputation));
+    const { data: ratingsList } = await api(`/services/${serviceId}/ratings`);
+    assert(ratingsList.count === 0 && ratingsList.nextCursor === null);
+  });
+
+  // --- Pricing models and quotes ---
+  const quoteFor = (apiKey, id, body) => api(`/services/${id}/quote`, { method: 'POST', headers: as(apiKey), body: JSON.stringify(body) });
+  const initiate = (apiKey, body) => api('/payments/initiate', { method: 'POST', headers: as(apiKey), body: JSON.stringify(body) });
+  let perPageId;
+  let pageQuote;
+
+  await test('POST /services - per-unit pricing lists its starting price and needs a quote', async () => {
+    const { status, data } = await api('/services', {
+      method: 'POST',
+      headers: as(keyA),
+      body: JSON.stringify({
+        name: 'Multi-page Screenshots',
+        endpoint: 'http://127.0.0.1:1/pages',
+        pricing: { model: 'per-unit', field: 'pages', unitPriceSOL: 0.0005, maxUnits: 20 }
+      })
+    });
+    assert(status === 201 && data.service.priceSOL === 0.0005, JSON.stringify(data));
+    perPageId = data.serviceId;
+
+    const { status: unquoted, data: err } = await initiate(keyB, { serviceId: perPageId });
+    assert(unquoted === 400 && err.error.includes('/quote'));
+    const { status: derived } = await api(`/services/${perPageId}`, { method: 'PATCH', headers: as(keyA), body: JSON.stringify({ priceSOL: 0.1 }) });
+    assert(derived === 400);
+  });
+
+  await test('POST /services/:id/quote - prices the input and signs the quote', async () => {
+    const { status, data } = await quoteFor(keyB, perPageId, { input: { url: 'https://example.com', pages: 4 } });
+    assert(status === 201 && data.amount === 0.002 && data.units === 4, JSON.stringify(data));
+    assert(data.inputHash === hashInput({ pages: 4, url: 'https://example.com' }));
+    assert(verifyWalletSignature(data.signer, quoteMessage(data), data.signature), 'Quote signature should verify');
+    assert(Date.parse(data.expiresAt) > Date.now());
+    pageQuote = data;
+
+    const { status: tooMany } = await quoteFor(keyB, perPageId, { input: { pages: 50 } });
+    assert(tooMany === 400);
+  });
+
+  await test('POST /payments/initiate - quoteId binds the amount and input, once', async () => {
+    const { status: stranger } = await initiate(keyA, { quoteId: pageQuote.quoteId });
+    assert(stranger === 404);
+    const { status, data } = await initiate(keyB, { quoteId: pageQuote.quoteId });
+    assert(status === 201 && data.instructions.amountSOL === 0.002, JSON.stringify(data));
+    const { data: payment } = await api(`/payments/${data.paymentId}`);
+    assert(payment.quoteId === pageQuote.quoteId && payment.inputHash === pageQuote.inputHash && payment.units === 4);
+    const { data: swapped } = await a2aCall(keyB, 'tasks/send', {
+      id: 'a2a-quoted-swap',
+      message: { role: 'user', parts: [{ type: 'data', data: { url: 'https://example.com', pages: 20 } }] },
+      metadata: { serviceId: perPageId, paymentId: data.paymentId }
+    });
+    assert(swapped.error?.code === -32602 && swapped.error.message.includes('quoted'), JSON.stringify(swapped));
+    const { status: reused } = await initiate(keyB, { quoteId: pageQuote.quoteId });
+    assert(reused === 409);
+  });
+
+  await test('POST /payments/initiate - quotes go stale when the service changes', async () => {
+    const { data: quote } = await quoteFor(keyB, perPageId, { input: { pages: 2 } });
+    await api(`/services/${perPageId}`, {
+      method: 'PATCH',
+      headers: as(keyA),
+      body: JSON.stringify({ pricing: { model: 'tiered', field: 'pages', tiers: [{ upTo: 5, priceSOL: 0.001 }, { upTo: null, priceSOL: 0.004 }] } })
+    });
+    const { status } = await initiate(keyB, { quoteId: quote.quoteId });
+    assert(status === 409, `Expected 409, got ${status}`);
+    const { data: tiered } = await quoteFor(keyB, perPageId, { input: { pages: 12 } });
+    assert(tiered.amount === 0.004 && tiered.pricing.model === 'tiered');
+  });
+
+  await test('POST /services - priceUSD needs a price oracle', async () => {
+    const { status, data } = await api('/services', {
+      method: 'POST',
+      headers: as(keyA),
+      body: JSON.stringify({ name: 'USD Priced', endpoint: 'http://127.0.0.1:1/usd', priceUSD: 0.25 })
+    });
+    assert(status === 400 && data.error.includes('PRICE_ORACLE'), JSON.stringify(data));
+  });
+
+  // --- Rate limits and quotas ---
+  await test('rate limits - 429 with Retry-After once an agent exceeds a route limit', async () => {
+    const { data: reg } = await register({ name: 'Hasty Agent' });
+    const verify = () => api('/payments/no-such-payment/verify', { method: 'POST', headers: as(reg.apiKey), body: '{}' });
+
+    const first = await verify();
+    assert(first.status === 404 && first.headers.get('RateLimit-Limit') === '30', `Expected rate limit headers, got ${first.status}`);
+    assert(first.headers.get('RateLimit-Remaining') === '29');
+    for (let i = 1; i < 30; i++) await verify();
+
+    const { status, data, headers } = await verify();
+    assert(status === 429, `Expected 429, got ${status}`);
+    assert(Number(headers.get('Retry-After')) > 0 && data.retryAfter === Number(headers.get('Retry-After')));
+    assert(data.route === 'verify' && data.scope === 'agent' && data.limit === 30, JSON.stringify(data));
+
+    const other = await api('/payments/no-such-payment/verify', { method: 'POST', headers: as(keyB), body: '{}' });
+    assert(other.status === 404, 'Other agents keep their own budget');
+  });
+
+  await test('rate limits - public read routes share one per-IP limit', async () => {
+    const first = await api('/stats');
+    assert(first.headers.get('RateLimit-Limit') === '600', `Expected the read limit, got ${first.headers.get('RateLimit-Limit')}`);
+    const next = await api('/tasks');
+    assert(Number(next.headers.get('RateLimit-Remaining')) < Number(first.headers.get('RateLimit-Remaining')));
+  });
+
+  await test('PUT /agents/:id/limits - a daily spend cap refuses payments past it', async () => {
+    const { data: reg } = await register({ name: 'Budgeted Agent' });
+    const { data: created } = await api('/services', {
+      method: 'POST',
+      headers: as(keyA),
+      body: JSON.stringify({ name: 'Capped Lookups', endpoint: 'http://127.0.0.1:1/capped', priceSOL: 0.001, maxConcurrentTasks: 2 })
+    });
+    assert(created.service.maxConcurrentTasks === 2);
+
+    const { status: bad } = await api(`/agents/${reg.agentId}/limits`, { method: 'PUT', headers: as(reg.apiKey), body: JSON.stringify({ dailySpendSOL: -1 }) });
+    assert(bad === 400);
+    const { status, data: limits } = await api(`/agents/${reg.agentId}/limits`, {
+      method: 'PUT',
+      headers: as(reg.apiKey),
+      body: JSON.stringify({ dailySpendSOL: 0.0015 })
+    });
+    assert(status === 200 && limits.dailySpend.SOL.cap === 0.0015 && limits.dailySpend.USDC.cap === null, JSON.stringify(limits));
+    assert(limits.rateLimits.initiate.agent.limit > 0);
+
+    const { status: firstStatus } = await initiate(reg.apiKey, { serviceId: created.serviceId });
+    assert(firstStatus === 201);
+    const { status: over, data, headers } = await initiate(reg.apiKey, { serviceId: created.serviceId });
+    assert(over === 429 && data.spent === 0.001 && data.cap === 0.0015, JSON.stringify(data));
+    assert(Number(headers.get('Retry-After')) > 0 && Date.parse(data.resetsAt) > Date.now());
+
+    const { data: after } = await api(`/agents/${reg.agentId}/limits`, { headers: as(reg.apiKey) });
+    assert(after.dailySpend.SOL.spent === 0.001 && after.dailySpend.SOL.remaining === 0.0005, JSON.stringify(after.dailySpend));
+  });
+
+  await test('PATCH /services/:id - maxConcurrentTasks is a setting, not a new version', async () => {
+    const { status: bad } = await patchService(keyA, perPageId, { maxConcurrentTasks: 0 });
+    assert(bad === 400);
+    const { status, data } = await patchService(keyA, perPageId, { maxConcurrentTasks: 3 });
+    assert(status === 200 && data.service.maxConcurrentTasks === 3 && data.changed.length === 0, JSON.stringify(data));
+  });
+
+  // --- Webhooks ---
+  await test('POST /agents/:id/webhooks and POST /services - refuse private addresses', async () => {
+    const { status: hook } = await api(`/agents/${agentB}/webhooks`, {
+      method: 'POST',
+      headers: as(keyB),
+      body: JSON.stringify({ url: 'http://169.254.169.254/latest/meta-data' })
+    });
+    assert(hook === 400, `Expected 400 for a webhook, got ${hook}`);
+    const { status: svc, data } = await api('/services', {
+      method: 'POST',
+      headers: as(keyA),
+      body: JSON.stringify({ name: 'Internal', priceSOL: 0.001, endpoint: 'http://192.168.1.10/admin' })
+    });
+    assert(svc === 400 && data.error.includes('public address'), JSON.stringify(data));
+  });
+
+  await test('POST /agents/:id/webhooks - registers a webhook and returns its secret once', async () => {
+    const { status, data } = await api(`/agents/${agentB}/webhooks`, {
+      method: 'POST',
+      headers: as(keyB),
+      body: JSON.stringify({ url: 'http://127.0.0.1:1/hooks', events: ['payment.verified', 'task.completed'] })
+    });
+    assert(status === 201, `Expected 201, got ${status}`);
+    assert(data.secret.startsWith('whsec_') && !data.webhook.secret);
+
+    const { data: list } = await api(`/agents/${agentB}/webhooks`, { headers: as(keyB) });
+    assert(list.webhooks.some(w => w.id === data.webhook.id && !w.secret));
+
+    const { data: log } = await api(`/agents/${agentB}/webhooks/${data.webhook.id}/deliveries`, { headers: as(keyB) });
+    assert(log.count === 0);
+
+    const { status: removed } = await api(`/agents/${agentB}/webhooks/${data.webhook.id}`, {
+      method: 'DELETE',
+      headers: as(keyB)
+    });
+    assert(removed === 200);
+  });
+
+  await test('POST /agents/:id/webhooks - rejects unknown events', async () => {
+    const { status } = await api(`/agents/${agentB}/webhooks`, {
+      method: 'POST',
+      headers: as(keyB),
+      body: JSON.stringify({ url: 'https://example.com/hooks', events: ['payment.maybe'] })
+    });
+    assert(status === 400, `Expected 400, got ${status}`);
+  });
+
   // --- Stats ---
   await test('GET /stats - returns gateway statistics', async () => {
     const { data } = await api('/stats');
     assert(data.agents >= 2);
     assert(data.services >= 1);
     assert(data.payments.total >= 2);
+    assert(typeof data.payments.platformFeesSOL === 'number');
     assert(typeof data.uptime === 'number');
   });
 
+  await test('GET /stats - settled fees agree with /treasury', async () => {
+    const { data: stats } = await api('/stats');
+    const { data: treasury } = await api('/treasury');
+    const fees = treasury.feesCollected.SOL + treasury.feesInEscrow.SOL;
+    assert(Math.abs(stats.payments.platformFeesSOL - fees) < 1e-9, `${stats.payments.platformFeesSOL} vs ${fees}`);
+    assert(stats.payments.held <= stats.payments.verified && stats.payments.totalSOLHeld >= 0);
+  });
+
+  await test('GET /treasury - reports platform fees collected', async () => {
+    const { status, data } = await api('/treasury');
+    assert(status === 200);
+    assert(typeof data.defaultFeeBps === 'number');
+    assert(data.feesCollected.SOL >= 0 && data.feesCollected.USDC >= 0);
+    assert(data.feesHeld.SOL >= 0 && data.feesInEscrow.SOL === 0);
+  });
+
   // --- List endpoints ---
   await test('GET /payments - lists all payments', async () => {
     const { data } = await api('/payments');
@@ -207,6 +1066,1024 @@ async function run() {
     assert(typeof data.count === 'number');
   });
 
+  // --- Verification logic (mocked RPC) ---
+  const PAYER = '11111111111111111111111111111111';
+  const PAYEE = 'E4h1FDHx647Ra33WSsvNwUVXDAm99Ne64xWK2FvbWnsP';
+  const USDC = '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU';
+  const OTHER_MINT = 'So11111111111111111111111111111111111111112';
+  const TREASURY = Keypair.generate().publicKey.toBase58();
+  const payeeATA = getAssociatedTokenAddressSync(new PublicKey(USDC), new PublicKey(PAYEE), true).toBase58();
+  const tokenBalance = (accountIndex, mint, amount) => ({
+    accountIndex, mint, owner: PAYEE, uiTokenAmount: { amount: String(amount), decimals: 6 }
+  });
+  const rpc = mockConnection({
+    solOk: mockTx([PAYER, PAYEE], { preBalances: [LAMPORTS_PER_SOL, 0], postBalances: [0, 0.001 * LAMPORTS_PER_SOL] }),
+    solLow: mockTx([PAYER, PAYEE], { preBalances: [LAMPORTS_PER_SOL, 0], postBalances: [0, 0.0005 * LAMPORTS_PER_SOL] }),
+    usdcOk: mockTx([PAYER, payeeATA], {
+      preTokenBalances: [tokenBalance(1, USDC, 1000000)],
+      postTokenBalances: [tokenBalance(1, USDC, 1250000)]
+    }),
+    usdcNewATA: mockTx([PAYER, payeeATA], { postTokenBalances: [tokenBalance(1, USDC, 250000)] }),
+    usdcLow: mockTx([PAYER, payeeATA], {
+      preTokenBalances: [tokenBalance(1, USDC, 1000000)],
+      postTokenBalances: [tokenBalance(1, USDC, 1100000)]
+    }),
+    usdcWrongMint: mockTx([PAYER, PAYER], { postTokenBalances: [tokenBalance(1, OTHER_MINT, 250000)] }),
+    solMemo: mockTx([PAYER, PAYEE], {
+      preBalances: [LAMPORTS_PER_SOL, 0], postBalances: [0, 0.001 * LAMPORTS_PER_SOL]
+    }, 'payment:abc'),
+    solSplit: mockTx([PAYER, PAYEE, TREASURY], {
+      preBalances: [LAMPORTS_PER_SOL, 0, 0], postBalances: [0, 0.00095 * LAMPORTS_PER_SOL, 0.00005 * LAMPORTS_PER_SOL]
+    }),
+    solSplitLowFee: mockTx([PAYER, PAYEE, TREASURY], {
+      preBalances: [LAMPORTS_PER_SOL, 0, 0], postBalances: [0, 0.00099 * LAMPORTS_PER_SOL, 0.00001 * LAMPORTS_PER_SOL]
+    }),
+    failed: mockTx([PAYER, PAYEE], { err: { InstructionError: [0, 'Custom'] } })
+  });
+  const solExpect = { token: 'SOL', amount: 0.001, recipient: PAYEE };
+  const usdcExpect = { token: 'USDC', amount: 0.25, recipient: PAYEE, mint: USDC };
+
+  await test('verifyTransfer - SOL payment verified from lamport delta', async () => {
+    const r = await verifyTransfer(rpc, 'solOk', solExpect);
+    assert(r.status === 'verified', `Expected verified, got ${r.status}`);
+    assert(r.slot === 1234);
+  });
+
+  await test('verifyTransfer - SOL payment underpaid', async () => {
+    const r = await verifyTransfer(rpc, 'solLow', solExpect);
+    assert(r.status === 'underpaid', `Expected underpaid, got ${r.status}`);
+    assert(r.received === 0.0005);
+  });
+
+  await test('verifyTransfer - USDC payment verified from token balance delta', async () => {
+    const r = await verifyTransfer(rpc, 'usdcOk', usdcExpect);
+    assert(r.status === 'verified', `Expected verified, got ${r.status}`);
+  });
+
+  await test('verifyTransfer - USDC payment into newly created token account', async () => {
+    const r = await verifyTransfer(rpc, 'usdcNewATA', usdcExpect);
+    assert(r.status === 'verified', `Expected verified, got ${r.status}`);
+  });
+
+  await test('verifyTransfer - USDC payment underpaid', async () => {
+    const r = await verifyTransfer(rpc, 'usdcLow', usdcExpect);
+    assert(r.status === 'underpaid', `Expected underpaid, got ${r.status}`);
+    assert(r.expected === 0.25 && r.received === 0.1, `Unexpected amounts ${r.expected}/${r.received}`);
+  });
+
+  await test('verifyTransfer - token payment in wrong mint', async () => {
+    const r = await verifyTransfer(rpc, 'usdcWrongMint', usdcExpect);
+    assert(r.status === 'wrong_mint', `Expected wrong_mint, got ${r.status}`);
+  });
+
+  await test('verifyTransfer - SOL transfer does not satisfy USDC payment', async () => {
+    const r = await verifyTransfer(rpc, 'solOk', usdcExpect);
+    assert(r.status === 'wrong_recipient', `Expected wrong_recipient, got ${r.status}`);
+  });
+
+  await test('verifyTransfer - memo bound to the payment is accepted', async () => {
+    const r = await verifyTransfer(rpc, 'solMemo', { ...solExpect, memo: 'payment:abc' });
+    assert(r.status === 'verified', `Expected verified, got ${r.status}`);
+  });
+
+  await test('verifyTransfer - memo for another payment is rejected', async () => {
+    const r = await verifyTransfer(rpc, 'solMemo', { ...solExpect, memo: 'payment:xyz' });
+    assert(r.status === 'memo_mismatch', `Expected memo_mismatch, got ${r.status}`);
+    assert(r.memos[0] === 'payment:abc');
+  });
+
+  await test('verifyTransfer - missing memo is rejected when one is required', async () => {
+    const r = await verifyTransfer(rpc, 'solOk', { ...solExpect, memo: 'payment:abc' });
+    assert(r.status === 'memo_mismatch', `Expected memo_mismatch, got ${r.status}`);
+  });
+
+  await test('verifyTransfer - failed and missing transactions', async () => {
+    assert((await verifyTransfer(rpc, 'failed', solExpect)).status === 'failed');
+    assert((await verifyTransfer(rpc, 'missing', solExpect)).status === 'not_found');
+  });
+
+  const splitExpect = {
+    token: 'SOL',
+    recipients: [{ recipient: PAYEE, amount: 0.00095 }, { recipient: TREASURY, amount: 0.00005 }]
+  };
+
+  await test('verifyTransfer - split payment checks each recipient\'s share', async () => {
+    const r = await verifyTransfer(rpc, 'solSplit', splitExpect);
+    assert(r.status === 'verified', `Expected verified, got ${r.status}`);
+  });
+
+  await test('verifyTransfer - split payment rejects a short treasury share', async () => {
+    const r = await verifyTransfer(rpc, 'solSplitLowFee', splitExpect);
+    assert(r.status === 'underpaid', `Expected underpaid, got ${r.status}`);
+    assert(r.recipient === TREASURY);
+  });
+
+  await test('verifyTransfer - paying the provider everything skips the treasury', async () => {
+    const r = await verifyTransfer(rpc, 'solOk', splitExpect);
+    assert(r.status === 'wrong_recipient', `Expected wrong_recipient, got ${r.status}`);
+    assert(r.recipient === TREASURY);
+  });
+
+  await test('splitAmount - fee in basis points, rounded down in base units', async () => {
+    const sol = splitAmount(0.001, 250, 9);
+    assert(sol.feeAmount === 0.000025 && sol.providerAmount === 0.000975, JSON.stringify(sol));
+    const usdc = splitAmount(0.000003, 5000, 6);
+    assert(usdc.feeAmount === 0.000001 && usdc.providerAmount === 0.000002, JSON.stringify(usdc));
+    assert(splitAmount(0.25, 0, 6).providerAmount === 0.25);
+  });
+
+  // --- Solana Pay ---
+  await test('encodeTransferRequest - builds a spec-compliant transfer request URL', async () => {
+    const url = encodeTransferRequest({
+      recipient: PAYEE,
+      amount: 0.25,
+      splToken: USDC,
+      reference: PAYER,
+      label: 'Screenshot Agent',
+      message: 'Website Screenshot',
+      memo: 'payment:abc'
+    });
+    assert(url === `solana:${PAYEE}?amount=0.25&spl-token=${USDC}&reference=${PAYER}` +
+      '&label=Screenshot%20Agent&message=Website%20Screenshot&memo=payment%3Aabc', url);
+    assert(encodeTransferRequest({ recipient: PAYEE, amount: 10 }) === `solana:${PAYEE}?amount=10`);
+    assert(encodeTransferRequest({ recipient: PAYEE, amount: 1e-7 }) === `solana:${PAYEE}?amount=0.0000001`);
+  });
+
+  await test('findReferenceSignatures - returns successful transactions oldest first', async () => {
+    const refRpc = {
+      getSignaturesForAddress: async () => [
+        { signature: 'newest', err: null },
+        { signature: 'failedTx', err: { InstructionError: [0, 'Custom'] } },
+        { signature: 'oldest', err: null }
+      ]
+    };
+    const sigs = await findReferenceSignatures(refRpc, PAYER);
+    assert(sigs.join(',') === 'oldest,newest', sigs.join(','));
+  });
+
+  // --- Payment lifecycle ---
+  await test('lifecycle - verified payments cannot be re-verified into failure', async () => {
+    assert(canTransition('pending', 'verified'));
+    assert(canTransition('not_found', 'verified'));
+    assert(!canTransition('verified', 'failed'));
+    assert(!canTransition('expired', 'verified'));
+    assert(canTransition('verified', 'released') && canTransition('verified', 'refunded'));
+    assert(!canTransition('released', 'refunded'));
+
+    const payment = { status: 'verified', history: [] };
+    assert(transitionPayment(payment, 'failed', 'late failure') === false);
+    assert(payment.status === 'verified' && payment.history.length === 0);
+  });
+
+  await test('lifecycle - verified is final only when no funds are held', async () => {
+    assert(isFinal({ status: 'verified', escrowAddress: null }));
+    assert(isFinal({ status: 'verified', kind: 'deposit', escrowAddress: PAYEE }));
+    assert(!isFinal({ status: 'verified', escrowAddress: PAYEE }));
+    assert(!isFinal({ status: 'verified', kind: 'credit', escrowAddress: null }));
+    assert(isFinal({ status: 'released' }) && isFinal({ status: 'expired' }) && !isFinal({ status: 'pending' }));
+  });
+
+  await test('lifecycle - open payments expire after their TTL', async () => {
+    const payment = { status: 'not_found', expiresAt: new Date(Date.now() - 1000).toISOString(), history: [] };
+    assert(expireIfStale(payment) === true);
+    assert(payment.status === 'expired');
+    assert(payment.history[0].from === 'not_found' && payment.history[0].to === 'expired');
+
+    const verified = { status: 'verified', expiresAt: new Date(Date.now() - 1000).toISOString() };
+    assert(expireIfStale(verified) === false && verified.status === 'verified');
+  });
+
+  // --- Payment watcher (mocked RPC) ---
+  await test('watcher - verifies a pending payment once its reference transaction lands', async () => {
+    const store = createStore();
+    const reference = PAYER;
+    store.payments.set('w1', {
+      id: 'w1', to: 'provider', status: 'pending', history: [], reference, txSignature: null,
+      quote: { token: 'SOL', amount: 0.001, payTo: PAYEE, mint: null },
+      expiresAt: new Date(Date.now() + 60000).toISOString()
+    });
+
+    let landed = false;
+    const chain = {
+      getSignaturesForAddress: async () => landed ? [{ signature: 'late', err: null }] : [],
+      getTransaction: async () => mockTx([PAYER, PAYEE], {
+        preBalances: [LAMPORTS_PER_SOL, 0], postBalances: [0, 0.001 * LAMPORTS_PER_SOL]
+      }, 'payment:w1')
+    };
+    let clock = Date.now();
+    const watcher = createPaymentWatcher({
+      store,
+      checker: createPaymentChecker({ connection: chain, store }),
+      baseBackoffMs: 1000,
+      now: () => clock
+    });
+
+    await watcher.tick();
+    assert(store.payments.get('w1').status === 'not_found', `Expected not_found, got ${store.payments.get('w1').status}`);
+
+    landed = true;
+    await watcher.tick();
+    assert(watcher.status().checks === 1, 'Should back off before re-checking');
+
+    clock += 1000;
+    await watcher.tick();
+    const payment = store.payments.get('w1');
+    assert(payment.status === 'verified', `Expected verified, got ${payment.status}`);
+    assert(payment.txSignature === 'late' && store.signatures.get('late') === 'w1');
+    assert(watcher.status().verified === 1);
+  });
+
+  await test('watcher - RPC errors back off without changing the payment', async () => {
+    const store = createStore();
+    store.payments.set('w2', {
+      id: 'w2', status: 'not_found', history: [], txSignature: 'sig-w2',
+      quote: { token: 'SOL', amount: 0.001, payTo: PAYEE, mint: null },
+      expiresAt: new Date(Date.now() + 60000).toISOString()
+    });
+    const chain = { getTransaction: async () => { throw new Error('RPC unavailable'); } };
+    const watcher = createPaymentWatcher({ store, checker: createPaymentChecker({ connection: chain, store }) });
+
+    await watcher.tick();
+    assert(store.payments.get('w2').status === 'not_found');
+    assert(watcher.status().errors === 1 && watcher.status().lastError === 'RPC unavailable');
+  });
+
+  await test('watcher - expires payments past their TTL', async () => {
+    const store = createStore();
+    store.payments.set('w3', {
+      id: 'w3', status: 'pending', history: [], reference: PAYER,
+      expiresAt: new Date(Date.now() - 1000).toISOString()
+    });
+    const chain = { getSignaturesForAddress: async () => [] };
+    const watcher = createPaymentWatcher({ store, checker: createPaymentChecker({ connection: chain, store }) });
+    await watcher.tick();
+    assert(store.payments.get('w3').status === 'expired');
+    assert(watcher.status().expired === 1 && watcher.status().checks === 1 && watcher.status().watching === 0);
+  });
+
+  await test('watcher - a payment that landed late in its TTL is checked before it expires', async () => {
+    const store = createStore();
+    store.payments.set('w4', {
+      id: 'w4', status: 'not_found', history: [], txSignature: 'sig-w4',
+      quote: { token: 'SOL', amount: 0.001, payTo: PAYEE, mint: null },
+      expiresAt: new Date(Date.now() + 1000).toISOString()
+    });
+    let landed = false;
+    const tx = mockTx([PAYER, PAYEE], { preBalances: [LAMPORTS_PER_SOL, 0], postBalances: [0, 0.001 * LAMPORTS_PER_SOL] }, 'payment:w4');
+    const chain = { getTransaction: async () => landed ? tx : null };
+    const watcher = createPaymentWatcher({ store, checker: createPaymentChecker({ connection: chain, store }), baseBackoffMs: 5 * 60 * 1000 });
+
+    await watcher.tick();
+    assert(store.payments.get('w4').status === 'not_found');
+
+    // Lands just before the TTL runs out, while the watcher is backing off
+    landed = true;
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    await watcher.tick();
+    assert(store.payments.get('w4').status === 'verified', `Expected verified, got ${store.payments.get('w4').status}`);
+    assert(watcher.status().verified === 1 && watcher.status().expired === 0);
+  });
+
+  // --- Event feed ---
+  await test('event feed - publishes status changes and partial task output', async () => {
+    const store = createStore();
+    const feed = createEventFeed({ store, taskView: ({ callbackToken, ...t }) => t });
+    const events = [];
+    const stop = feed.subscribe(e => e.agents.includes('consumer'), e => events.push(e));
+
+    const payment = { id: 'p1', from: 'consumer', to: 'provider', status: 'pending' };
+    store.payments.set('p1', payment);
+    store.payments.set('p1', payment); // unchanged status is not an event
+    store.payments.set('p1', { ...payment, status: 'verified' });
+    store.payments.set('p2', { id: 'p2', from: 'someone', to: 'provider', status: 'pending' });
+
+    const task = { id: 't1', fromAgent: 'consumer', toAgent: 'provider', status: 'processing', callbackToken: 'secret' };
+    store.tasks.set('t1', task);
+    store.tasks.set('t1', { ...task, outputChunks: ['50%'] });
+    store.tasks.set('t1', { ...task, outputChunks: ['50%'], status: 'completed' });
+    stop();
+
+    assert(events.map(e => `${e.type}:${e.status}`).join(',') ===
+      'payment.status:pending,payment.status:verified,task.status:processing,task.output:processing,task.status:completed',
+      events.map(e => e.type).join(','));
+    assert(events[3].data.output === '50%' && !('callbackToken' in events[2].data));
+    assert(feed.since(events[1].id, () => true).length === 4, 'Buffered events resume after Last-Event-ID');
+  });
+
+  // --- A2A task mapping ---
+  await test('toA2ATask - maps gateway task states and output artifacts', async () => {
+    const record = { id: 'x', sessionId: 's', history: [], created: 'now' };
+    const done = toA2ATask(record, { task: { id: 't', status: 'completed', output: { summary: 'ok' } } });
+    assert(done.status.state === 'completed' && done.artifacts[0].parts[0].data.summary === 'ok');
+    const text = toA2ATask(record, { task: { id: 't', status: 'completed', output: 'plain' } });
+    assert(text.artifacts[0].parts[0].type === 'text' && text.artifacts[0].parts[0].text === 'plain');
+    assert(toA2ATask(record, { task: { id: 't', status: 'processing' } }).status.state === 'working');
+    const failed = toA2ATask(record, { task: { id: 't', status: 'failed', error: 'boom' } });
+    assert(failed.status.state === 'failed' && failed.status.message.parts[0].text === 'boom');
+
+    const { text: t, data } = readMessage({ parts: [{ type: 'text', text: 'a' }, { type: 'data', data: { b: 1 } }, { type: 'text', text: 'c' }] });
+    assert(t === 'a\nc' && data.b === 1);
+  });
+
+  // --- JSON Schema validation ---
+  await test('checkSchema - accepts the supported subset and refuses the rest', async () => {
+    assert(checkSchema(summarizeInput) === null);
+    assert(checkSchema({ type: 'object', title: 'x', format: 'uri' }) === null);
+    assert(checkSchema({ type: 'text' }).includes('type'));
+    assert(checkSchema({ properties: { a: { if: {} } } }).includes('"if"'));
+    assert(checkSchema({ pattern: '(' }).includes('pattern'));
+  });
+
+  await test('validate - a backtracking pattern times out instead of blocking', async () => {
+    for (const pattern of ['^(a|a)*$', '^(a|aa)+$']) {
+      const schema = { type: 'string', pattern };
+      assert(checkSchema(schema) === null);
+      const started = Date.now();
+      const errors = validate(schema, 'a'.repeat(40) + 'b');
+      assert(errors.length === 1 && errors[0].message.includes('took longer'), JSON.stringify(errors));
+      assert(Date.now() - started < 2000, `Took ${Date.now() - started}ms`);
+    }
+    assert(validate({ pattern: '^([a-z0-9-]+\\.)+[a-z]{2,}$' }, 'api.example.com').length === 0);
+    const long = validate({ type: 'string', pattern: '^a' }, 'a'.repeat(20000));
+    assert(long.length === 1 && long[0].message.includes('at most'));
+  });
+
+  await test('validate - reports JSON Pointer paths', async () => {
+    assert(validate(summarizeInput, { url: 'https://example.com', maxWords: 50 }).length === 0);
+    const errors = validate(summarizeInput, { maxWords: 2.5 });
+    assert(errors.some(e => e.path === '' && e.message.includes('"url"')));
+    assert(errors.some(e => e.path === '/maxWords' && e.message.includes('integer')));
+    const list = { type: 'array', items: { enum: ['a', 'b'] }, uniqueItems: true };
+    assert(validate(list, ['a', 'c', 'a']).map(e => e.path).sort().join() === ',/1');
+    assert(validate({ oneOf: [{ type: 'string' }, { type: 'integer' }] }, 3).length === 0);
+    assert(validate({ anyOf: [{ type: 'string' }, { minimum: 10 }] }, 3).length === 1);
+  });
+
+  await test('validate - ignores inherited properties', async () => {
+    assert(validate({ type: 'object', required: ['toString'] }, {}).length === 1);
+    const closed = { type: 'object', properties: { a: { type: 'string' } }, additionalProperties: false };
+    assert(validate(closed, { constructor: 5 })[0]?.path === '/constructor');
+  });
+
+  // --- Reputation aggregates ---
+  await test('aggregate - averages ratings, rates outcomes and takes the median latency', async () => {
+    const at = (ms) => new Date(Date.UTC(2026, 0, 1) + ms).toISOString();
+    const finished = (id, status, ms) => ({ id, serviceId: 's1', toAgent: 'p', status, created: at(0), completedAt: at(ms) });
+    const stats = aggregate([
+      finished('t1', 'completed', 100),
+      finished('t2', 'completed', 300),
+      finished('t3', 'completed', 1000),
+      finished('t4', 'failed', 50),
+      { id: 't5', serviceId: 's1', toAgent: 'p', status: 'processing', created: at(0) }
+    ], [
+      { serviceId: 's1', toAgent: 'p', rating: 5 },
+      { serviceId: 's1', toAgent: 'p', rating: 2 }
+    ], r => r.serviceId).get('s1');
+    assert(stats.ratingAverage === 3.5 && stats.ratingCount === 2);
+    assert(stats.tasksFinished === 4 && stats.completionRate === 0.75 && stats.failureRate === 0.25);
+    assert(stats.medianLatencyMs === 300, `Expected 300, got ${stats.medianLatencyMs}`);
+
+    assert(ratingError({ rating: 4, comment: 'Fast' }) === null);
+    assert(ratingError({ rating: 6 }) && ratingError({ rating: 4.5 }) && ratingError({ rating: 3, comment: 7 }));
+  });
+
+  // --- Pricing models ---
+  await test('pricingError - validates per-unit and tiered models', async () => {
+    assert(pricingError({ model: 'flat' }) === null);
+    assert(pricingError({ model: 'per-unit', field: 'pages', unitPriceSOL: 0.001 }) === null);
+    assert(pricingError({ model: 'per-unit', field: 'pages' }).includes('unitPrice'));
+    assert(pricingError({ model: 'tiered', field: 'n', tiers: [{ upTo: 10, priceSOL: 1 }, { upTo: 5, priceSOL: 2 }] }).includes('increasing'));
+    assert(pricingError({ model: 'tiered', field: 'n', tiers: [{ upTo: null, priceSOL: 1 }, { upTo: 5, priceSOL: 2 }] }).includes('last tier'));
+    assert(pricingError({ model: 'auction' }).includes('model'));
+  });
+
+  await test('priceFor - counts units from numbers, strings and arrays', async () => {
+    const perToken = { id: 's', pricing: { model: 'per-unit', field: 'doc.text', unitPriceUSDC: 0.00001 } };
+    const byLength = priceFor(perToken, 'USDC', { doc: { text: 'x'.repeat(1234) } });
+    assert(byLength.amount === 0.01234 && byLength.units === 1234, JSON.stringify(byLength));
+    assert(priceFor(perToken, 'SOL', { doc: { text: 'x' } }).error.includes('not priced in SOL'));
+    assert(priceFor(perToken, 'USDC', { doc: {} }).error.includes('input.doc.text'));
+
+    const tiered = { id: 't', pricing: { model: 'tiered', field: 'urls', tiers: [{ upTo: 2, priceSOL: 0.001 }, { upTo: 10, priceSOL: 0.003 }] } };
+    assert(priceFor(tiered, 'SOL', { urls: ['a', 'b'] }).amount === 0.001);
+    assert(priceFor(tiered, 'SOL', { urls: Array(3).fill('a') }).amount === 0.003);
+    assert(priceFor(tiered, 'SOL', { urls: Array(11).fill('a') }).error.includes('At most 10'));
+    assert(priceFor({ priceSOL: 0.002 }, 'SOL').amount === 0.002);
+  });
+
+  await test('usdToToken - rounds up to the smallest unit', async () => {
+    assert(usdToToken(0.25, 150, 9) === 0.001666667);
+    assert(usdToToken(0.3, 1, 6) === 0.3);
+    assert(usdToToken(1, 3, 6) === 0.333334);
+  });
+
+  await test('createStaticOracle - answers configured rates only', async () => {
+    const oracle = createStaticOracle({ rates: { SOL: 150 } });
+    const { rate, source } = await oracle.getRate('SOL');
+    assert(rate === 150 && source === 'static');
+    let failed = false;
+    await oracle.getRate('BTC').catch(() => { failed = true; });
+    assert(failed, 'Unknown symbols should throw');
+  });
+
+  await test('createFileOracle - re-reads the file and refuses stale rates', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'prices-'));
+    const path = join(dir, 'prices.json');
+    let clock = Date.parse('2026-01-01T00:00:00Z');
+    const oracle = createFileOracle({ path, maxAgeMs: 60000, now: () => clock });
+    try {
+      writeFileSync(path, JSON.stringify({ SOL: 140, updatedAt: '2026-01-01T00:00:00Z' }));
+      assert((await oracle.getRate('SOL')).rate === 140);
+
+      clock += 120000;
+      let stale = false;
+      await oracle.getRate('SOL').catch(err => { stale = err.message.includes('stale'); });
+      assert(stale, 'Old rates should be refused');
+
+      writeFileSync(path, JSON.stringify({ SOL: 160.5, updatedAt: new Date(clock).toISOString() }) + '\n');
+      const fresh = await oracle.getRate('SOL');
+      assert(fresh.rate === 160.5 && fresh.asOf === new Date(clock).toISOString(), JSON.stringify(fresh));
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await test('parseRateLimits - overrides defaults and refuses unknown routes', async () => {
+    const rules = parseRateLimits('initiate:agent=5/10,verify:ip=0');
+    assert(rules.initiate.agent.limit === 5 && rules.initiate.agent.windowMs === 10000);
+    assert(rules.verify.ip === null && rules.verify.agent.limit === 30);
+    assert(Object.values(parseRateLimits('off')).every(r => !r.agent && !r.ip));
+    for (const spec of ['payments:agent=1/1', 'initiate:user=1/1', 'initiate:agent=5', 'initiate:agent=5/0']) {
+      let threw = false;
+      try { parseRateLimits(spec); } catch { threw = true; }
+      assert(threw, `Expected ${spec} to be refused`);
+    }
+  });
+
+  await test('createRateLimiter - counts per key within a fixed window', async () => {
+    let clock = 1000;
+    const limiter = createRateLimiter({ now: () => clock });
+    const rule = { limit: 2, windowMs: 10000 };
+    assert(limiter.hit('a', rule).remaining === 1);
+    assert(limiter.hit('a', rule).allowed);
+    clock += 4000;
+    const refused = limiter.hit('a', rule);
+    assert(!refused.allowed && refused.resetMs === 6000, JSON.stringify(refused));
+    assert(limiter.hit('b', rule).allowed, 'Keys are counted separately');
+    clock += 6000;
+    assert(limiter.hit('a', rule).allowed, 'A new window starts once the old one ends');
+    assert(utcDayStart(Date.parse('2026-03-04T17:30:00Z')) === Date.parse('2026-03-04T00:00:00Z'));
+  });
+
+  // --- Credit ledger ---
+  await test('ledger - thousands of micro-debits leave an exact balance', async () => {
+    const ledger = createLedger({ store: createStore(), decimals: { SOL: 9, USDC: 6 } });
+    ledger.credit('a1', 'SOL', 1, { type: 'deposit', ref: 'd1' });
+    for (let i = 0; i < 3000; i++) ledger.debit('a1', 'SOL', 0.0001, { type: 'payment' });
+    assert(ledger.balanceOf('a1').SOL === 0.7, `Expected 0.7, got ${ledger.balanceOf('a1').SOL}`);
+    assert(ledger.entriesOf('a1', 1)[0].balance === 0.7);
+  });
+
+  await test('ledger - refuses debits beyond the balance', async () => {
+    const ledger = createLedger({ store: createStore(), decimals: { SOL: 9, USDC: 6 } });
+    ledger.credit('a1', 'USDC', 0.5, { type: 'deposit' });
+    assert(ledger.debit('a1', 'USDC', 0.6, { type: 'payment' }) === null);
+    assert(ledger.debit('a1', 'SOL', 0.1, { type: 'payment' }) === null);
+    assert(ledger.balanceOf('a1').USDC === 0.5 && ledger.entriesOf('a1').length === 1);
+  });
+
+  await test('checkPayment - a verified deposit credits the depositor', async () => {
+    const store = createStore();
+    const ledger = createLedger({ store, decimals: { SOL: 9, USDC: 6 } });
+    store.payments.set('d1', {
+      id: 'd1', kind: 'deposit', from: 'a1', token: 'SOL', status: 'pending', history: [],
+      quote: { token: 'SOL', amount: 0.001, payTo: PAYEE, mint: null },
+      expiresAt: new Date(Date.now() + 60000).toISOString()
+    });
+    const chain = mockConnection({
+      dep: mockTx([PAYER, PAYEE], { preBalances: [LAMPORTS_PER_SOL, 0], postBalances: [0, 0.001 * LAMPORTS_PER_SOL] }, 'payment:d1')
+    });
+    const checker = createPaymentChecker({ connection: chain, store, ledger });
+    const r = await checker.checkPayment(store.payments.get('d1'), 'dep');
+    assert(r.status === 'verified', `Expected verified, got ${r.status}`);
+    assert(ledger.balanceOf('a1').SOL === 0.001);
+    assert(ledger.entriesOf('a1')[0].ref === 'd1');
+  });
+
+  await test('checkPayment - concurrent checks of one deposit credit it once', async () => {
+    const store = createStore();
+    const ledger = createLedger({ store, decimals: { SOL: 9, USDC: 6 } });
+    store.payments.set('d2', {
+      id: 'd2', kind: 'deposit', from: 'a2', token: 'SOL', status: 'pending', history: [],
+      quote: { token: 'SOL', amount: 0.001, payTo: PAYEE, mint: null },
+      expiresAt: new Date(Date.now() + 60000).toISOString()
+    });
+    const tx = mockTx([PAYER, PAYEE], { preBalances: [LAMPORTS_PER_SOL, 0], postBalances: [0, 0.001 * LAMPORTS_PER_SOL] }, 'payment:d2');
+    const slowChain = { getTransaction: async () => { await new Promise(r => setTimeout(r, 20)); return tx; } };
+    const checker = createPaymentChecker({ connection: slowChain, store, ledger });
+
+    const payment = store.payments.get('d2');
+    const results = await Promise.all([checker.checkPayment(payment, 'sig1'), checker.checkPayment(payment, 'sig1')]);
+    assert(results.filter(r => r.conflict).length === 1, JSON.stringify(results));
+    assert(ledger.balanceOf('a2').SOL === 0.001, `Expected one credit, got ${ledger.balanceOf('a2').SOL}`);
+
+    const again = await checker.checkPayment(payment, 'sig1');
+    assert(again.conflict && ledger.balanceOf('a2').SOL === 0.001, 'A settled payment is not credited again');
+  });
+
+  await test('checkPayment - a payment past its TTL still verifies a transaction that landed in time', async () => {
+    const store = createStore();
+    const expiresAt = new Date(Date.now() - 60000);
+    const stale = (id) => ({
+      id, from: 'a3', status: 'pending', history: [],
+      quote: { token: 'SOL', amount: 0.001, payTo: PAYEE, mint: null },
+      expiresAt: expiresAt.toISOString()
+    });
+    store.payments.set('s1', stale('s1'));
+    store.payments.set('s2', stale('s2'));
+    const paid = { preBalances: [LAMPORTS_PER_SOL, 0], postBalances: [0, 0.001 * LAMPORTS_PER_SOL] };
+    const blockTime = Math.floor(expiresAt.getTime() / 1000);
+    const chain = mockConnection({
+      inTime: { ...mockTx([PAYER, PAYEE], paid, 'payment:s1'), blockTime },
+      late: { ...mockTx([PAYER, PAYEE], paid, 'payment:s2'), blockTime: blockTime + 30 }
+    });
+    const checker = createPaymentChecker({ connection: chain, store });
+
+    const ok = await checker.checkPayment(store.payments.get('s1'), 'inTime');
+    assert(ok.status === 'verified' && store.payments.get('s1').status === 'verified', JSON.stringify(ok));
+
+    const late = await checker.checkPayment(store.payments.get('s2'), 'late');
+    assert(late.status === 'expired' && late.lastCheck === 'landed_late', JSON.stringify(late));
+    assert(store.payments.get('s2').status === 'expired' && !store.signatures.has('late'));
+  });
+
+  await test('withdrawals - an errored transfer stays unconfirmed until checked on-chain', async () => {
+    const store = createStore();
+    const ledger = createLedger({ store, decimals: { SOL: 9, USDC: 6 } });
+    ledger.credit('a4', 'SOL', 0.01, { type: 'deposit' });
+    const onChain = new Set();
+    let lands = false;
+    const escrow = {
+      transfer: async ({ memo }) => {
+        const id = memo.slice('withdrawal:'.length);
+        assert(store.withdrawals.get(id).status === 'unconfirmed', 'Saved as unconfirmed before sending');
+        if (lands) onChain.add(memo);
+        throw new Error('Confirmation timed out');
+      },
+      findTransfer: async (memo) => onChain.has(memo) ? 'landedSig' : null
+    };
+    const payouts = createWithdrawals({ store, ledger, escrow, decimals: { SOL: 9, USDC: 6 }, recheckMs: 0 });
+
+    const lost = await payouts.withdraw('a4', { token: 'SOL', amount: 0.004, to: PAYER });
+    assert(lost.status === 'unconfirmed' && lost.error === 'Confirmation timed out');
+    lands = true;
+    const landed = await payouts.withdraw('a4', { token: 'SOL', amount: 0.002, to: PAYER });
+    assert(ledger.balanceOf('a4').SOL === 0.004, 'Debited while unconfirmed');
+
+    await payouts.sweep();
+    assert(store.withdrawals.get(lost.id).status === 'failed', 'Failed when not on-chain');
+    assert(store.withdrawals.get(landed.id).status === 'completed' && store.withdrawals.get(landed.id).txSignature === 'landedSig');
+    assert(ledger.balanceOf('a4').SOL === 0.008, `Only the lost withdrawal is credited back, got ${ledger.balanceOf('a4').SOL}`);
+  });
+
+  // --- Escrow ---
+  await test('escrow - releases SOL to the provider with an audit memo', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'gateway-escrow-'));
+    try {
+      const keyfile = join(dir, 'escrow.json');
+      const escrowKeypair = Keypair.generate();
+      writeFileSync(keyfile, JSON.stringify(Array.from(escrowKeypair.secretKey)));
+
+      const sent = [];
+      const escrow = createEscrow({
+        connection: {},
+        keypair: loadKeypair(keyfile),
+        send: async (connection, tx, signers) => { sent.push({ tx, signers }); return 'releaseSig'; }
+      });
+      assert(escrow.address === escrowKeypair.publicKey.toBase58());
+
+      const sig = await escrow.transfer({ outputs: [{ to: PAYEE, amount: 0.001 }], token: 'SOL', memo: 'release:p1' });
+      assert(sig === 'releaseSig');
+      const [transferIx, memoIx] = sent[0].tx.instructions;
+      const decoded = SystemInstruction.decodeTransfer(transferIx);
+      assert(decoded.toPubkey.toBase58() === PAYEE && Number(decoded.lamports) === 1000000);
+      assert(memoIx.programId.toBase58() === MEMO_PROGRAM_IDS[0] && memoIx.data.toString() === 'release:p1');
+      assert(sent[0].signers[0].publicKey.equals(escrowKeypair.publicKey));
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await test('escrow - refunds USDC into the consumer\'s token account', async () => {
+    let sentTx;
+    const escrow = createEscrow({
+      connection: {},
+      keypair: Keypair.generate(),
+      send: async (connection, tx) => { sentTx = tx; return 'refundSig'; }
+    });
+    await escrow.transfer({ outputs: [{ to: PAYEE, amount: 0.25 }], token: 'USDC', mint: USDC, decimals: 6, memo: 'refund:p2' });
+
+    const [createAta, transfer] = sentTx.instructions;
+    assert(createAta.keys[1].pubkey.toBase58() === payeeATA, 'Expected the recipient ATA to be created');
+    assert(transfer.keys[2].pubkey.toBase58() === payeeATA, 'Expected a transfer into the recipient ATA');
+    assert(transfer.data.readBigUInt64LE(1) === 250000n && transfer.data[9] === 6, 'Expected 0.25 USDC at 6 decimals');
+  });
+
+  await test('escrow - finds a transfer that landed despite an error by its memo', async () => {
+    const escrow = createEscrow({
+      keypair: Keypair.generate(),
+      connection: {
+        getSignaturesForAddress: async () => [
+          { signature: 'failedSig', err: { InstructionError: [0, 'Custom'] }, memo: '[12] release:p3' },
+          { signature: 'otherSig', err: null, memo: '[13] release:p30' },
+          { signature: 'landedSig', err: null, memo: '[9] note; [12] release:p3' }
+        ]
+      }
+    });
+    assert(await escrow.findTransfer('release:p3') === 'landedSig');
+    assert(await escrow.findTransfer('refund:p3') === null);
+  });
+
+  // --- Storage ---
+  await test('createStore(file) - records survive a restart', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'gateway-store-'));
+    const path = join(dir, 'gateway.jsonl');
+    try {
+      const first = createStore({ driver: 'file', path });
+      first.agents.set('a1', { id: 'a1', name: 'Agent', totalEarned: 0 });
+      first.payments.set('p1', { id: 'p1', status: 'pending' });
+      first.payments.set('p1', { id: 'p1', status: 'verified' });
+      first.signatures.set('sig', 'p1');
+      first.signatures.delete('sig');
+
+      const second = createStore({ driver: 'file', path });
+      assert(second.agents.get('a1').name === 'Agent');
+      assert(second.payments.get('p1').status === 'verified', 'Latest write should win');
+      assert(!second.signatures.has('sig'), 'Deleted record came back');
+      assert(second.payments.size === 1);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await test('createStore(file) - skips a torn final log line', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'gateway-store-'));
+    const path = join(dir, 'gateway.jsonl');
+    try {
+      createStore({ driver: 'file', path }).tasks.set('t1', { id: 't1' });
+      appendFileSync(path, '{"c":"tasks","op":"set","id":"t2","v":{');
+      const reopened = createStore({ driver: 'file', path });
+      assert(reopened.tasks.has('t1') && !reopened.tasks.has('t2'));
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await test('createStore(file) - compacts the log as it grows', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'gateway-store-'));
+    const path = join(dir, 'gateway.jsonl');
+    try {
+      const store = createStore({ driver: 'file', path, compactAfterBytes: 1000 });
+      store.agents.set('a1', { id: 'a1', name: 'Agent' });
+      for (let i = 0; i < 500; i++) store.payments.set('p1', { id: 'p1', polls: i });
+
+      const lines = readFileSync(path, 'utf-8').split('\n').filter(Boolean);
+      assert(lines.length < 50, `Expected a compacted log, got ${lines.length} lines`);
+      const reopened = createStore({ driver: 'file', path });
+      assert(reopened.payments.get('p1').polls === 499 && reopened.agents.has('a1'));
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await test('createStore - rejects an unknown driver', async () => {
+    let threw = false;
+    try {
+      createStore({ driver: 'redis' });
+    } catch {
+      threw = true;
+    }
+    assert(threw, 'Expected an error for unknown driver');
+  });
+
+  // --- Dispatch (local provider) ---
+  const provider = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { input } = JSON.parse(body);
+      const reply = {
+        '/sync': [200, { output: { echoed: input } }],
+        '/async': [202, { accepted: true }],
+        '/broken': [500, { error: 'boom' }],
+        '/refuse': [200, { status: 'failed', error: 'unsupported url' }]
+      }[req.url];
+      res.writeHead(reply[0], { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply[1]));
+    });
+  });
+  await new Promise(resolve => provider.listen(0, resolve));
+  const providerURL = `http://127.0.0.1:${provider.address().port}`;
+  const envelope = { taskId: 't1', input: { url: 'https://example.com' } };
+  const local = { allowed: parseAddressList('127.0.0.1') };
+
+  await test('dispatchTask - refuses private endpoints unless allow-listed', async () => {
+    assert(!isValidEndpoint('http://169.254.169.254/latest/meta-data') && !isValidEndpoint('http://[::1]:8080/'));
+    assert(!isValidEndpoint('http://localhost:3000/') && !isValidEndpoint('http://10.0.0.5/', local));
+    assert(isValidEndpoint('https://provider.example.com/run') && isValidEndpoint(`${providerURL}/sync`, local));
+    const r = await dispatchTask(`${providerURL}/sync`, envelope);
+    assert(r.status === 'failed' && r.error.includes('private address'), JSON.stringify(r));
+  });
+
+  await test('dispatchTask - synchronous provider response completes the task', async () => {
+    const r = await dispatchTask(`${providerURL}/sync`, envelope, local);
+    assert(r.status === 'completed', `Expected completed, got ${r.status}`);
+    assert(r.output.echoed.url === 'https://example.com');
+  });
+
+  await test('dispatchTask - 202 leaves the task processing for a callback', async () => {
+    const r = await dispatchTask(`${providerURL}/async`, envelope, local);
+    assert(r.status === 'processing', `Expected processing, got ${r.status}`);
+  });
+
+  await test('dispatchTask - provider errors fail the task', async () => {
+    const http = await dispatchTask(`${providerURL}/broken`, envelope, local);
+    assert(http.status === 'failed' && http.error.includes('500'), `Unexpected ${JSON.stringify(http)}`);
+    const reported = await dispatchTask(`${providerURL}/refuse`, envelope, local);
+    assert(reported.status === 'failed' && reported.error === 'unsupported url');
+  });
+
+  await test('dispatchTask - unreachable provider fails the task', async () => {
+    const r = await dispatchTask('http://127.0.0.1:1/', envelope, { ...local, timeoutMs: 2000 });
+    assert(r.status === 'failed' && r.error.startsWith('Provider unreachable'));
+  });
+
+  provider.close();
+
+  // --- Webhook delivery (local receiver) ---
+  const received = [];
+  let receiverStatus = 500;
+  const receiver = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(receiverStatus);
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, resolve));
+
+  await test('webhooks - signed delivery retried with backoff until it succeeds', async () => {
+    const store = createStore();
+    store.webhooks.set('wh1', {
+      id: 'wh1', agentId: 'a1', url: `http://127.0.0.1:${receiver.address().port}/`,
+      events: ['task.completed'], secret: 'whsec_test', active: true
+    });
+    let clock = Date.now();
+    const dispatcher = createWebhookDispatcher({ store, ...local, baseBackoffMs: 1000, now: () => clock });
+
+    const [queued] = dispatcher.emit(['a1', 'a2'], 'task.completed', { id: 't1' });
+    assert(dispatcher.emit(['a1'], 'payment.failed', {}).length === 0, 'Unsubscribed events are not delivered');
+    await dispatcher.deliver(queued.id); // no-op while the first attempt is in flight
+    await new Promise(resolve => setTimeout(resolve, 200));
+    let delivery = store.deliveries.get(queued.id);
+    assert(delivery.status === 'pending' && delivery.attempts[0].error === 'HTTP 500');
+
+    receiverStatus = 200;
+    await dispatcher.tick();
+    assert(store.deliveries.get(queued.id).attempts.length === 1, 'Should wait out the backoff');
+    clock += 1000;
+    await dispatcher.tick();
+    delivery = store.deliveries.get(queued.id);
+    assert(delivery.status === 'delivered' && delivery.attempts.length === 2);
+
+    const { headers, body } = received[received.length - 1];
+    const [, t, mac] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    assert(mac === createHmac('sha256', 'whsec_test').update(`${t}.${body}`).digest('hex'), 'Bad signature');
+    assert(headers['x-webhook-event'] === 'task.completed' && JSON.parse(body).data.id === 't1');
+
+    await dispatcher.redeliver(queued.id);
+    assert(store.deliveries.get(queued.id).attempts.length === 3);
+  });
+
+  receiver.close();
+
+  // --- Paywall middleware (mocked RPC) ---
+  const paidSig = bs58.encode(randomBytes(64));
+  const lowSig = bs58.encode(randomBytes(64));
+  const paidNonce = randomBytes(16).toString('hex');
+  const lowNonce = randomBytes(16).toString('hex');
+  const now = Math.floor(Date.now() / 1000);
+  const paywallChain = mockConnection({
+    [paidSig]: { ...mockTx([PAYER, PAYEE], { preBalances: [LAMPORTS_PER_SOL, 0], postBalances: [0, 0.001 * LAMPORTS_PER_SOL] }, paywallMemo(paidNonce)), blockTime: now },
+    [lowSig]: { ...mockTx([PAYER, PAYEE], { preBalances: [LAMPORTS_PER_SOL, 0], postBalances: [0, 0.0001 * LAMPORTS_PER_SOL] }, paywallMemo(lowNonce)), blockTime: now }
+  });
+  const paidApp = express();
+  paidApp.get('/premium', requirePayment({ priceSOL: 0.001, payTo: PAYEE, connection: paywallChain }), (req, res) => {
+    res.json({ paid: req.payment });
+  });
+  const paidServer = paidApp.listen(0);
+  await new Promise(resolve => paidServer.once('listening', resolve));
+  const premium = (headers = {}) => fetch(`http://127.0.0.1:${paidServer.address().port}/premium`, { headers });
+
+  await test('requirePayment - 402 lists machine-readable payment requirements', async () => {
+    const res = await premium();
+    const body = await res.json();
+    assert(res.status === 402, `Expected 402, got ${res.status}`);
+    assert(body.x402Version === 1 && body.accepts.length === 1);
+    const [req] = body.accepts;
+    assert(req.payTo === PAYEE && req.asset === 'SOL' && req.maxAmountRequired === '1000000');
+    assert(req.network === 'solana-devnet' && req.resource === '/premium');
+    assert(/^[0-9a-f]{32}$/.test(req.extra.nonce) && req.extra.memo === paywallMemo(req.extra.nonce));
+  });
+
+  await test('requirePayment - a signature without its nonce is refused', async () => {
+    const bare = await premium({ 'X-PAYMENT': paidSig });
+    assert(bare.status === 402, `Expected 402 without a nonce, got ${bare.status}`);
+
+    // Someone who saw the transaction on-chain but holds another nonce
+    const { accepts } = await bare.json();
+    const stolen = await premium({ 'X-PAYMENT': paidSig, 'X-PAYMENT-NONCE': accepts[0].extra.nonce });
+    const body = await stolen.json();
+    assert(stolen.status === 402 && body.status === 'memo_mismatch', `Expected memo_mismatch, got ${body.status}`);
+  });
+
+  await test('requirePayment - verified signature reaches the handler once', async () => {
+    const res = await premium({ 'X-PAYMENT': paidSig, 'X-PAYMENT-NONCE': paidNonce });
+    assert(res.status === 200, `Expected 200, got ${res.status}`);
+    const { paid } = await res.json();
+    assert(paid.txSignature === paidSig && paid.token === 'SOL' && paid.amount === 0.001);
+    const receipt = JSON.parse(Buffer.from(res.headers.get('X-PAYMENT-RESPONSE'), 'base64').toString());
+    assert(receipt.success && receipt.transaction === paidSig);
+
+    const replay = await premium({ 'X-PAYMENT': paidSig, 'X-PAYMENT-NONCE': paidNonce });
+    assert(replay.status === 402, `Expected replay to be refused, got ${replay.status}`);
+  });
+
+  await test('requirePayment - accepts a base64 x402 payload and rejects underpayment', async () => {
+    const header = Buffer.from(JSON.stringify({
+      x402Version: 1, scheme: 'exact', network: 'solana-devnet', payload: { signature: lowSig, nonce: lowNonce }
+    })).toString('base64');
+    const res = await premium({ 'X-PAYMENT': header });
+    const body = await res.json();
+    assert(res.status === 402 && body.status === 'underpaid', `Expected underpaid, got ${body.status}`);
+  });
+
+  paidServer.close();
+
+  // --- Seeded gateway: ratings and USD prices ---
+  // The main server has no escrow, chain or price oracle, so no task can finish
+  // there. A second gateway is started with an escrow, a static oracle and a
+  // seeded store (a consumer with credits, a provider pointing at a local
+  // server), and a credit-paid task is run to completion.
+  console.log('\n[Seeded gateway]');
+  const rateDir = mkdtempSync(join(tmpdir(), 'gateway-rating-'));
+  const ratePort = Number(new URL(BASE).port || 4100) + 1;
+  const rateBase = `http://localhost:${ratePort}`;
+  const rateProvider = createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ output: { ok: true } }));
+    });
+  });
+  await new Promise(resolve => rateProvider.listen(0, '127.0.0.1', resolve));
+
+  const seeded = (name, wallet) => ({
+    id: randomUUID(), name, wallet: wallet.publicKey.toBase58(), walletVerified: true, skills: [],
+    endpoint: `http://127.0.0.1:${rateProvider.address().port}/run`,
+    registered: new Date().toISOString(), servicesOffered: [], totalEarned: 0
+  });
+  const rater = seeded('Rating Consumer', Keypair.generate());
+  const rated = seeded('Rating Provider', Keypair.generate());
+  const consumerKey = generateApiKey();
+  const providerKey = generateApiKey();
+  const keyRecord = (agent, key) => ({
+    id: randomUUID(), agentId: agent.id, prefix: key.slice(0, 10), created: new Date().toISOString(), revokedAt: null
+  });
+  const seed = [
+    ['agents', rater.id, rater],
+    ['agents', rated.id, rated],
+    ['apiKeys', hashApiKey(consumerKey), keyRecord(rater, consumerKey)],
+    ['apiKeys', hashApiKey(providerKey), keyRecord(rated, providerKey)],
+    ['balances', rater.id, { SOL: 10000000, USDC: 0 }]
+  ];
+  writeFileSync(join(rateDir, 'store.jsonl'), seed.map(([c, id, v]) => JSON.stringify({ c, op: 'set', id, v })).join('\n') + '\n');
+  writeFileSync(join(rateDir, 'escrow.json'), JSON.stringify(Array.from(Keypair.generate().secretKey)));
+
+  const gateway = spawn(process.execPath, ['server.mjs'], {
+    env: {
+      ...process.env,
+      PORT: String(ratePort),
+      STORAGE: 'file',
+      STORAGE_PATH: join(rateDir, 'store.jsonl'),
+      ESCROW_KEYPAIR: join(rateDir, 'escrow.json'),
+      ENDPOINT_ALLOWLIST: '127.0.0.1',
+      PAYMENT_WATCHER: 'false',
+      PRICE_ORACLE: 'static',
+      SOL_USD_PRICE: '100'
+    },
+    stdio: 'ignore'
+  });
+  const onGateway = (path, opts) => api(path, opts, rateBase);
+
+  let ratedTask = null;
+  let ratedService = null;
+  await test('POST /tasks/:id/rating - a credit-paid task completes on a seeded gateway', async () => {
+    let up = false;
+    for (let i = 0; i < 50 && !up; i++) {
+      up = await onGateway('/health').then(r => r.status === 200, () => false);
+      if (!up) await new Promise(r => setTimeout(r, 200));
+    }
+    assert(up, 'Seeded gateway did not start');
+
+    const service = await onGateway('/services', {
+      method: 'POST',
+      headers: as(providerKey),
+      body: JSON.stringify({ name: 'Rated Service', priceSOL: 0.001 })
+    });
+    assert(service.status === 201, `Expected 201 creating the service, got ${service.status}`);
+    ratedService = service.data.serviceId;
+
+    const run = await onGateway('/tasks/execute', {
+      method: 'POST',
+      headers: as(consumerKey),
+      body: JSON.stringify({ serviceId: ratedService, useCredits: true, input: {} })
+    });
+    assert(run.status === 201, `Expected 201, got ${run.status}: ${JSON.stringify(run.data)}`);
+
+    for (let i = 0; i < 50; i++) {
+      const { data } = await onGateway(`/tasks/${run.data.taskId}`, { headers: as(consumerKey) });
+      if (data.status !== 'processing') {
+        assert(data.status === 'completed', `Expected completed, got ${data.status}`);
+        ratedTask = run.data.taskId;
+        return;
+      }
+      await new Promise(r => setTimeout(r, 100));
+    }
+    throw new Error('Task did not finish');
+  });
+
+  const rate = (apiKey, body) => onGateway(`/tasks/${ratedTask}/rating`, {
+    method: 'POST', headers: as(apiKey), body: JSON.stringify(body)
+  });
+
+  await test('POST /tasks/:id/rating - only the paying agent may rate', async () => {
+    const { status } = await rate(providerKey, { rating: 5 });
+    assert(status === 403, `Expected 403, got ${status}`);
+  });
+
+  await test('POST /tasks/:id/rating - rating must be 1-5', async () => {
+    for (const rating of [0, 6, 2.5, '5']) {
+      const { status } = await rate(consumerKey, { rating });
+      assert(status === 400, `Expected 400 for ${JSON.stringify(rating)}, got ${status}`);
+    }
+  });
+
+  await test('POST /tasks/:id/rating - a rating updates the service aggregate', async () => {
+    const { status, data } = await rate(consumerKey, { rating: 4, comment: 'Quick' });
+    assert(status === 201, `Expected 201, got ${status}`);
+    assert(data.rating.rating === 4 && data.service.ratingAverage === 4 && data.service.ratingCount === 1,
+      `Unexpected aggregate ${JSON.stringify(data.service)}`);
+
+    const { data: listed } = await onGateway(`/services/${ratedService}`);
+    assert(listed.reputation.ratingAverage === 4 && listed.reputation.tasksFinished === 1,
+      `Service does not show the rating: ${JSON.stringify(listed.reputation)}`);
+  });
+
+  await test('POST /tasks/:id/rating - one rating per task', async () => {
+    const { status, data } = await rate(consumerKey, { rating: 1 });
+    assert(status === 409 && data.rating.rating === 4, `Expected 409 keeping the first rating, got ${status}`);
+  });
+
+  await test('GET /services - a priceUSD service is listed at its SOL price', async () => {
+    const created = await onGateway('/services', {
+      method: 'POST',
+      headers: as(providerKey),
+      body: JSON.stringify({ name: 'Dollar Service', priceUSD: 0.5 })
+    });
+    assert(created.status === 201, `Expected 201, got ${created.status}`);
+    const usdService = created.data.serviceId;
+    const ids = ({ data }) => data.services.map(s => s.id);
+
+    const inSOL = await onGateway(`/services?agentId=${rated.id}&token=SOL`);
+    assert(ids(inSOL).includes(usdService), 'priceUSD service missing under token=SOL');
+
+    // 0.5 USD at 100 USD/SOL is 0.005 SOL
+    const cheap = await onGateway(`/services?agentId=${rated.id}&maxPriceSOL=0.004`);
+    const enough = await onGateway(`/services?agentId=${rated.id}&maxPriceSOL=0.005`);
+    assert(!ids(cheap).includes(usdService) && ids(cheap).includes(ratedService), 'maxPriceSOL=0.004 should only match the 0.001 SOL service');
+    assert(ids(enough).includes(usdService), 'maxPriceSOL=0.005 should match the priceUSD service');
+
+    const sorted = await onGateway(`/services?agentId=${rated.id}&sort=-price`);
+    assert(ids(sorted)[0] === usdService && ids(sorted)[1] === ratedService, `Unexpected order ${ids(sorted)}`);
+  });
+
+  gateway.kill();
+  rateProvider.close();
+  rmSync(rateDir, { recursive: true, force: true });
+
   // --- Summary ---
   console.log(`\n${'='.repeat(50)}`);
   console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
@@ -0,0 +1,203 @@
+/**
+ * On-chain payment verification
+ *
+ * Fetches a transaction by signature and checks that it pays the expected
+ * recipient at least the expected amount, either in native SOL (lamport
+ * deltas) or in an SPL token such as USDC (token balance deltas on the
+ * recipient's associated token account).
+ *
+ * A payment split across several recipients (e.g. provider and platform
+ * treasury) is checked per recipient: each must receive its own share.
+ *
+ * When an expected memo is given, the transaction must also carry an SPL
+ * Memo instruction with exactly that text, binding it to one payment.
+ *
+ * The connection is passed in so the checks can run against a mocked RPC.
+ */
+
+import { PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { getAssociatedTokenAddressSync } from '@solana/spl-token';
+import bs58 from 'bs58';
+
+// SPL Memo program (v2 and legacy v1)
+export const MEMO_PROGRAM_IDS = [
+  'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr',
+  'Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo'
+];
+
+// All account keys referenced by a transaction, including those loaded
+// from address lookup tables (versioned transactions).
+export function accountKeysOf(txInfo) {
+  const message = txInfo.transaction.message;
+  const keys = (message.staticAccountKeys || message.accountKeys).map(k => k.toBase58 ? k.toBase58() : String(k));
+  const loaded = txInfo.meta?.loadedAddresses;
+  if (loaded) {
+    for (const k of [...(loaded.writable || []), ...(loaded.readonly || [])]) {
+      keys.push(k.toBase58 ? k.toBase58() : String(k));
+    }
+  }
+  return keys;
+}
+
+// Text of every SPL Memo instruction in the transaction, top-level and inner.
+export function memosOf(txInfo) {
+  const keys = accountKeysOf(txInfo);
+  const message = txInfo.transaction.message;
+  const instructions = [
+    ...(message.compiledInstructions || message.instructions || []),
+    ...(txInfo.meta?.innerInstructions || []).flatMap(inner => inner.instructions)
+  ];
+
+  return instructions
+    .filter(ix => MEMO_PROGRAM_IDS.includes(keys[ix.programIdIndex]))
+    .map(ix => {
+      const data = typeof ix.data === 'string' ? bs58.decode(ix.data) : ix.data;
+      return Buffer.from(data).toString('utf8');
+    });
+}
+
+function rawTokenAmount(balances, accountIndex) {
+  const entry = (balances || []).find(b => b.accountIndex === accountIndex);
+  return entry ? BigInt(entry.uiTokenAmount.amount) : 0n;
+}
+
+// Check a native SOL transfer to `recipient` of at least `amount` SOL.
+function checkSOL(txInfo, keys, recipient, amount) {
+  const recipientIdx = keys.indexOf(recipient);
+  if (recipientIdx < 0) {
+    return {
+      status: 'wrong_recipient',
+      message: 'Transaction does not involve the expected recipient wallet'
+    };
+  }
+
+  const { preBalances, postBalances } = txInfo.meta;
+  const received = (postBalances[recipientIdx] - preBalances[recipientIdx]) / LAMPORTS_PER_SOL;
+  if (received < amount * 0.99) { // 1% tolerance for rounding
+    return {
+      status: 'underpaid',
+      expected: amount,
+      received,
+      message: 'Payment amount is less than required'
+    };
+  }
+
+  return null;
+}
+
+// Check an SPL token transfer of at least `amount` (in UI units) of `mint`
+// into the recipient's associated token account.
+function checkToken(txInfo, keys, recipient, amount, mint) {
+  const ata = getAssociatedTokenAddressSync(new PublicKey(mint), new PublicKey(recipient), true).toBase58();
+  const ataIdx = keys.indexOf(ata);
+  const { preTokenBalances, postTokenBalances } = txInfo.meta;
+
+  if (ataIdx < 0) {
+    // The recipient may still have been paid, just in a different token
+    const otherMint = (postTokenBalances || []).some(b => b.owner === recipient && b.mint !== mint);
+    if (otherMint) {
+      return {
+        status: 'wrong_mint',
+        expectedMint: mint,
+        message: 'Transaction does not transfer the expected token mint'
+      };
+    }
+    return {
+      status: 'wrong_recipient',
+      message: 'Transaction does not involve the expected recipient token account'
+    };
+  }
+
+  const post = (postTokenBalances || []).find(b => b.accountIndex === ataIdx);
+  if (!post || post.mint !== mint) {
+    return {
+      status: 'wrong_mint',
+      expectedMint: mint,
+      message: 'Transaction does not transfer the expected token mint'
+    };
+  }
+
+  const decimals = post.uiTokenAmount.decimals;
+  const delta = BigInt(post.uiTokenAmount.amount) - rawTokenAmount(preTokenBalances, ataIdx);
+  const expectedRaw = BigInt(Math.round(amount * 10 ** decimals));
+  if (delta < expectedRaw) {
+    return {
+      status: 'underpaid',
+      expected: amount,
+      received: Number(delta) / 10 ** decimals,
+      message: 'Payment amount is less than required'
+    };
+  }
+
+  return null;
+}
+
+// Expected shares keyed by base58 address; a wallet listed twice must
+// receive the sum of its shares
+function expectedShares(recipient, amount, recipients) {
+  const shares = new Map();
+  for (const share of recipients || [{ recipient, amount }]) {
+    const key = new PublicKey(share.recipient).toBase58();
+    shares.set(key, (shares.get(key) || 0) + share.amount);
+  }
+  return shares;
+}
+
+/**
+ * Verify that `txSignature` pays `recipient` at least `amount`, or with
+ * `recipients`, pays every listed recipient at least its own amount.
+ *
+ * @param {Connection} connection - Solana RPC connection (or a mock with getTransaction)
+ * @param {string} txSignature - Transaction signature to look up
+ * @param {{ token: 'SOL'|'USDC', amount?: number, recipient?: string,
+ *           recipients?: { recipient: string, amount: number }[], mint?: string, memo?: string }} expected
+ * @returns {Promise<object>} `{ status, message, ... }` where status is one of
+ *   verified, not_found, failed, memo_mismatch, wrong_recipient, wrong_mint, underpaid
+ */
+export async function verifyTransfer(connection, txSignature, { token, amount, recipient, recipients, mint, memo }) {
+  const txInfo = await connection.getTransaction(txSignature, {
+    maxSupportedTransactionVersion: 0,
+    commitment: 'confirmed'
+  });
+
+  if (!txInfo) {
+    return {
+      status: 'not_found',
+      message: 'Transaction not found on-chain. It may still be processing.'
+    };
+  }
+
+  if (txInfo.meta?.err) {
+    return {
+      status: 'failed',
+      message: 'Transaction failed on-chain',
+      error: txInfo.meta.err
+    };
+  }
+
+  if (memo) {
+    const memos = memosOf(txInfo);
+    if (!memos.includes(memo)) {
+      return {
+        status: 'memo_mismatch',
+        expectedMemo: memo,
+        memos,
+        message: 'Transaction memo does not reference this payment'
+      };
+    }
+  }
+
+  const keys = accountKeysOf(txInfo);
+  for (const [recipientKey, share] of expectedShares(recipient, amount, recipients)) {
+    const problem = token === 'SOL'
+      ? checkSOL(txInfo, keys, recipientKey, share)
+      : checkToken(txInfo, keys, recipientKey, share, mint);
+    if (problem) return { ...problem, recipient: recipientKey };
+  }
+
+  return {
+    status: 'verified',
+    slot: txInfo.slot,
+    blockTime: txInfo.blockTime
+  };
+}
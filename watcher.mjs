@@ -0,0 +1,145 @@
+/**
+ * Background payment watcher
+ *
+ * Periodically re-checks payments that are still waiting on-chain — pending
+ * payments with a Solana Pay reference, and payments whose submitted
+ * signature came back not_found or hit an RPC error — so they settle
+ * without the client calling verify again. Each payment backs off
+ * exponentially between checks. A payment past its TTL gets one last check
+ * right away, whatever its backoff, and is expired unless a transaction
+ * that landed in time turns up.
+ */
+
+import { expireIfStale, isOpen } from './lifecycle.mjs';
+
+// Statuses worth re-checking: the transaction may simply not have landed yet
+const WATCHED_STATES = ['pending', 'not_found', 'error'];
+
+/**
+ * @param {{ store: object, checker: object, intervalMs?: number,
+ *           baseBackoffMs?: number, maxBackoffMs?: number, now?: () => number }} opts
+ *   `checker` is the object returned by createPaymentChecker
+ */
+export function createPaymentWatcher({
+  store,
+  checker,
+  intervalMs = 10000,
+  baseBackoffMs = 5000,
+  maxBackoffMs = 5 * 60 * 1000,
+  now = Date.now
+}) {
+  const { payments } = store;
+  const schedule = new Map(); // paymentId -> { attempts, nextCheckAt }
+  let timer = null;
+  let ticking = false;
+
+  const stats = {
+    runs: 0,
+    checks: 0,
+    verified: 0,
+    rejected: 0,
+    expired: 0,
+    errors: 0,
+    lastRunAt: null,
+    lastRunDurationMs: null,
+    lastError: null
+  };
+
+  function backoff(attempts) {
+    return Math.min(baseBackoffMs * 2 ** (attempts - 1), maxBackoffMs);
+  }
+
+  function watching(payment) {
+    return WATCHED_STATES.includes(payment.status) && Boolean(payment.txSignature || payment.reference);
+  }
+
+  // One pass over all watched payments whose backoff has elapsed
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    const started = now();
+
+    try {
+      for (const payment of Array.from(payments.values())) {
+        const stale = isOpen(payment) && Boolean(payment.expiresAt) && Date.parse(payment.expiresAt) <= now();
+
+        // Nothing to look up on-chain
+        if (stale && !payment.txSignature && !payment.reference) {
+          if (expireIfStale(payment, now())) {
+            payments.set(payment.id, payment);
+            stats.expired++;
+          }
+          schedule.delete(payment.id);
+          continue;
+        }
+
+        if (!watching(payment) && !stale) {
+          schedule.delete(payment.id);
+          continue;
+        }
+
+        const entry = schedule.get(payment.id) || { attempts: 0, nextCheckAt: 0 };
+        // The last check skips the backoff; if it errors, later ones do not
+        if (stale && !entry.lastCheck) {
+          entry.lastCheck = true;
+        } else if (now() < entry.nextCheckAt) {
+          continue;
+        }
+
+        stats.checks++;
+        const result = await checker.checkPayment(payment, payment.txSignature || undefined, { recordErrors: false });
+        // Being checked by the verify route right now
+        if (result.conflict) continue;
+
+        if (result.status === 'verified' || result.status === 'expired') {
+          stats[result.status]++;
+          schedule.delete(payment.id);
+          continue;
+        }
+
+        if (result.status === 'error') {
+          stats.errors++;
+          stats.lastError = result.error;
+        } else if (result.status !== 'not_found') {
+          stats.rejected++;
+        }
+
+        entry.attempts++;
+        entry.nextCheckAt = now() + backoff(entry.attempts);
+        schedule.set(payment.id, entry);
+      }
+    } finally {
+      stats.runs++;
+      stats.lastRunAt = new Date(started).toISOString();
+      stats.lastRunDurationMs = now() - started;
+      ticking = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      tick().catch(err => {
+        stats.errors++;
+        stats.lastError = err.message;
+      });
+    }, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function status() {
+    return {
+      running: Boolean(timer),
+      intervalMs,
+      watching: Array.from(payments.values()).filter(watching).length,
+      ...stats
+    };
+  }
+
+  return { start, stop, tick, status };
+}
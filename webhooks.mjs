@@ -0,0 +1,165 @@
+/**
+ * Signed webhooks
+ *
+ * Agents register URLs to be notified of payment and task events instead of
+ * polling. Each event becomes a delivery: a JSON POST of
+ * `{ id, event, created, data }` signed with the webhook's secret:
+ *
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * Failed deliveries (network errors, timeouts, non-2xx) are retried with
+ * exponential backoff up to `maxAttempts`; every attempt is kept on the
+ * delivery as its log. Like provider endpoints, a webhook URL may not
+ * resolve to a private address (see checkEndpointAddress in dispatch.mjs).
+ */
+
+import { createHmac, randomBytes } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { checkEndpointAddress } from './dispatch.mjs';
+
+export const WEBHOOK_EVENTS = ['payment.verified', 'payment.failed', 'task.completed', 'task.failed'];
+
+export function generateWebhookSecret() {
+  return 'whsec_' + randomBytes(24).toString('base64url');
+}
+
+// Value of the X-Webhook-Signature header for `body` sent at `timestamp`
+export function signPayload(secret, timestamp, body) {
+  const mac = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/**
+ * @param {{ store: object, timeoutMs?: number, intervalMs?: number,
+ *           baseBackoffMs?: number, maxAttempts?: number, now?: () => number,
+ *           allowed?: BlockList }} opts
+ *   `store` needs the webhooks and deliveries collections; `allowed` lists
+ *   private addresses webhooks may resolve to (see parseAddressList)
+ */
+export function createWebhookDispatcher({
+  store,
+  allowed,
+  timeoutMs = 10000,
+  intervalMs = 5000,
+  baseBackoffMs = 10000,
+  maxAttempts = 8,
+  now = Date.now
+}) {
+  const { webhooks, deliveries } = store;
+  const inFlight = new Set(); // deliveryIds being sent
+  let timer = null;
+
+  // Queue `event` for every active webhook of `agentIds` subscribed to it
+  function emit(agentIds, event, data) {
+    const created = [];
+    for (const webhook of webhooks.values()) {
+      if (!webhook.active || !agentIds.includes(webhook.agentId) || !webhook.events.includes(event)) continue;
+
+      const delivery = {
+        id: uuidv4(),
+        webhookId: webhook.id,
+        event,
+        payload: {
+          id: uuidv4(),
+          event,
+          created: new Date(now()).toISOString(),
+          data: JSON.parse(JSON.stringify(data)) // snapshot, so retries send what happened
+        },
+        status: 'pending',
+        attempts: [],
+        nextAttemptAt: now(),
+        created: new Date(now()).toISOString()
+      };
+      deliveries.set(delivery.id, delivery);
+      created.push(delivery);
+      deliver(delivery.id);
+    }
+    return created;
+  }
+
+  // Make one delivery attempt and schedule the next on failure
+  async function deliver(deliveryId) {
+    const delivery = deliveries.get(deliveryId);
+    const webhook = delivery && webhooks.get(delivery.webhookId);
+    if (!delivery || !webhook || inFlight.has(deliveryId)) return delivery;
+    if (!webhook.active) {
+      delivery.status = 'cancelled';
+      delivery.nextAttemptAt = null;
+      deliveries.set(delivery.id, delivery);
+      return delivery;
+    }
+    inFlight.add(deliveryId);
+
+    const body = JSON.stringify(delivery.payload);
+    const started = now();
+    const attempt = { at: new Date(started).toISOString(), status: null, error: null, durationMs: null };
+
+    try {
+      const refused = await checkEndpointAddress(webhook.url, { allowed });
+      if (refused) throw new Error(`Webhook URL refused: ${refused}`);
+
+      const res = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Signature': signPayload(webhook.secret, Math.floor(started / 1000), body)
+        },
+        body,
+        redirect: 'error',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      attempt.status = res.status;
+      if (!res.ok) attempt.error = `HTTP ${res.status}`;
+    } catch (err) {
+      attempt.error = err.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : err.message;
+    } finally {
+      inFlight.delete(deliveryId);
+    }
+
+    attempt.durationMs = now() - started;
+    delivery.attempts.push(attempt);
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attempts.length >= maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+    } else {
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = now() + baseBackoffMs * 2 ** (delivery.attempts.length - 1);
+    }
+    deliveries.set(delivery.id, delivery);
+    return delivery;
+  }
+
+  // Send a delivery again right away, whatever its status
+  function redeliver(deliveryId) {
+    const delivery = deliveries.get(deliveryId);
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = now();
+    deliveries.set(delivery.id, delivery);
+    return deliver(deliveryId);
+  }
+
+  // Retry every pending delivery whose backoff has elapsed
+  async function tick() {
+    for (const delivery of Array.from(deliveries.values())) {
+      if (delivery.status === 'pending' && delivery.nextAttemptAt <= now()) await deliver(delivery.id);
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => { tick().catch(() => {}); }, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { emit, deliver, redeliver, tick, start, stop };
+}